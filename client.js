@@ -27,6 +27,19 @@ class LightTrailsClient {
       return;
     }
     this.cursorCtx = this.cursorCanvas.getContext('2d');
+
+    // Sky events (aurora, comets, ...) sit between the trails and the cursors
+    this.skyCanvas = document.getElementById('skyCanvas');
+    if (!this.skyCanvas) {
+      this.skyCanvas = document.createElement('canvas');
+      this.skyCanvas.id = 'skyCanvas';
+      this.cursorCanvas.before(this.skyCanvas);
+    }
+    this.skyCtx = this.skyCanvas.getContext('2d');
+    this.activeSkyEvents = [];
+    this.maxEffectLead = 2000; // Never hold a shared effect back longer than this
+    this.skyEventRenderers = new Map(); // kind -> { setup(event, random), draw(ctx, state, progress, event) }
+    this.registerBuiltInSkyEvents();
     
     this.isDrawing = false;
     this.currentColor = '#ff6b6b';
@@ -42,6 +55,30 @@ class LightTrailsClient {
     this.settingsUpdateTimeout = null;
     this.trailPoints = [];
     this.clientId = null;
+    this.roomName = this.getRequestedRoom();
+    // Binary wire format for cursor and trail traffic; opt out with ?wire=json
+    this.binaryProtocolVersion = 2;
+    this.preferBinary = this.getRequestedWireFormat() !== 'json' && typeof DataView === 'function';
+    this.wireFormat = 'json';
+    this.binaryCoordinateScale = 10;
+    this.binaryTimeBase = 0; // server frames stamp time as a u32 ms offset from this
+    this.wireClientIds = new Map(); // wireId -> clientId
+    this.authToken = this.loadAuthToken();
+    this.isAuthenticated = false;
+    // Room role: owner and drawers may draw, spectators only watch; join as a spectator with ?role=spectator
+    this.requestedRole = this.getRequestedRole();
+    this.role = null;
+    this.participantRoles = new Map(); // clientId -> 'owner' | 'drawer' | 'spectator'
+    // Clearing is arbitrated by the server: owner only, majority vote, or own strokes only
+    this.clearPolicy = 'vote';
+    this.clearVote = null; // Latest tally of the room's open vote
+    this.clearVoteTimer = null;
+    this.clearVoteResult = null; // Outcome shown briefly after a vote closes
+    this.clearVoteResultTimeout = null;
+    // Set by a moderator; drawing is refused until then but the cursor still moves
+    this.mutedUntil = 0;
+    this.muteTimeout = null;
+    this.moderationMessage = null; // Reason from a kick or ban, shown once the socket closes
     
     console.log('Canvas size (initial):', this.canvas.width, this.canvas.height);
 
@@ -99,19 +136,107 @@ class LightTrailsClient {
     // Track all users' trails: clientId -> array of {x, y, color, timestamp}
     this.allTrails = new Map();
     
+    // Stroke history for undo/redo of my own strokes (stroke ids, oldest first)
+    this.currentStrokeId = null;
+    this.strokeCounter = 0;
+    this.strokeHistory = [];
+    this.redoStack = [];
+    this.maxStrokeHistory = 50;
+    // Points removed by undo, kept so a redo can restore them: strokeKey -> {clientId, points, removedAt}
+    this.undoneStrokes = new Map();
+    this.undoneStrokeTtl = 60000;
+    
+    // Outgoing stroke batching: point deltas [dx, dy, dt] queued between flushes
+    this.pendingStrokePoints = [];
+    this.lastSentStrokePoint = null;
+    this.strokeFlushTimeout = null;
+    this.strokeBatchInterval = 50;
+    this.strokeBatchMaxPoints = 32;
+    this.maxStrokeDeltaTime = 10000;
+    // Settings of strokes other users are drawing: strokeKey -> {clientId, color, size, glow, cursorMode, username}
+    this.remoteStrokes = new Map();
+    
     // Track other users' mouse positions
-    this.otherCursors = new Map(); // clientId -> {x, y, color, timestamp}
+    this.otherCursors = new Map(); // clientId -> {x, y, color, timestamp, samples}
+
+    // Remote motion tuning. Cursors are drawn cursorRenderDelay ms in the past, between two
+    // buffered positions, so 50 ms updates play back smoothly instead of jumping
+    this.cursorRenderDelay = 100;
+    this.cursorSampleLimit = 20;
+    this.cursorExtrapolation = true; // Dead-reckon from the last velocity when updates run late
+    this.cursorMaxExtrapolation = 150; // ms past the newest position before the cursor stops
+    // 0 keeps remote trail points as received; 1 pulls each one to its neighbours' midpoint
+    this.remoteTrailSmoothing = 0.5;
+
+    // Server clock estimate: serverTime ≈ Date.now() + clockOffset. Trail and cursor
+    // timestamps are kept in server time so every client fades them in lockstep
+    this.clockOffset = 0;
+    this.clockSamples = []; // Most recent {offset, rtt} measurements from ping/pong
+    this.clockSampleLimit = 8;
+    this.clockSyncBurst = 5; // Pings sent right after connecting to converge quickly
+    this.clockSyncSpacing = 600; // Stays within the server's ping rate limit
+    this.clockSyncTimeouts = [];
     
     // Mouse position tracking
     this.lastMousePosition = null;
     this.mousePositionThrottle = 50; // Send position every 50ms
     this.lastMousePositionSent = 0;
     
+    // Shared world canvas: positions are stored and sent in world units. At zoom 1 the
+    // 1920x1080 home area fits the viewport (letterboxed, never stretched)
+    this.logicalWidth = 1920;
+    this.logicalHeight = 1080;
+    this.maxWorldCoordinate = 100000; // Matches the server's coordinate limit
+    this.minZoom = 0.1;
+    this.maxZoom = 8;
+    this.camera = { x: this.logicalWidth / 2, y: this.logicalHeight / 2, zoom: 1 }; // World point at screen center
+    this.view = null; // { scale, offsetX, offsetY } mapping world units to canvas pixels
+    this.spaceHeld = false;
+    this.panStart = null; // Last screen position while dragging the view
+    this.pinch = null; // { distance, midpoint } of the last two-finger touch
+    // Follow mode: mirror another participant's view; followerCounts: clientId -> number of followers
+    this.follow = null; // { clientId, view }
+    this.followerCounts = new Map();
+    this.viewBroadcastTimeout = null;
+    
+    // Participants panel, minimap and spotlight
+    this.participantActivity = new Map(); // clientId -> { lastSeen, lastDrew, x, y } (world units)
+    this.participantIdleAfter = 10000;
+    this.participantDrawingWindow = 1500;
+    this.participantsRefreshInterval = 1000;
+    this.lastParticipantsRender = 0;
+    this.minimapRefreshInterval = 200;
+    this.lastMinimapRender = 0;
+    this.minimapTransform = null; // { scale, minX, minY, offsetX, offsetY } of the last minimap frame
+    this.spotlight = null; // { clientId, until }
+    this.spotlightDuration = 2500;
+    
     // Trail settings
     this.trailFadeTime = 4000; // Trails fade out over 4 seconds
     this.trailPointSpacing = 3; // Minimum distance between trail points
     this.minAlpha = 0.05; // Minimum alpha before removing (for smoother fade)
     
+    // Session replay state (null while drawing live)
+    this.replay = null;
+    this.replaySpeeds = [0.25, 0.5, 1, 2, 4, 8];
+    this.replaySnapshotInterval = 10000; // ms of session time between seek snapshots
+    this.liveTrailState = null; // Live allTrails/undoneStrokes, set aside while a replay runs
+    this.lastFrameTime = null;
+
+    // Clip capture: a rolling buffer of compressed frames from the last few seconds. Encoding
+    // frames costs CPU and memory, so the buffer only runs once the user arms it
+    this.captureArmed = false;
+    this.captureFps = 10;
+    this.captureMaxSeconds = 30;
+    this.captureMaxWidth = 640;
+    this.captureFrames = [];
+    this.captureEffects = [];
+    this.lastCaptureFrameAt = 0;
+    this.captureFramePending = false;
+    this.isEncodingClip = false;
+    this.captureSupported = typeof window.MediaRecorder === 'function'
+      && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    
     // Glow and blending settings
     this.glowLayers = 3; // Number of glow layers for soft effect
     this.baseGlowRadius = 25; // Base glow radius
@@ -132,6 +257,63 @@ class LightTrailsClient {
     this.connect();
   }
 
+  getRequestedWireFormat() {
+    try {
+      return new URLSearchParams(window.location.search).get('wire');
+    } catch (error) {
+      console.warn('Unable to read wire format from URL', error);
+    }
+    return null;
+  }
+
+  getRequestedRole() {
+    try {
+      return new URLSearchParams(window.location.search).get('role') === 'spectator' ? 'spectator' : null;
+    } catch (error) {
+      console.warn('Unable to read role from URL', error);
+    }
+    return null;
+  }
+
+  getRequestedRoom() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const room = params.get('room');
+      return room && room.trim() ? room.trim() : null;
+    } catch (error) {
+      console.warn('Unable to read room from URL', error);
+    }
+    return null;
+  }
+
+  // A ?token= in the page URL is stored and then removed from the address bar
+  loadAuthToken() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const urlToken = params.get('token');
+      if (urlToken) {
+        window.localStorage.setItem('lightTrailsToken', urlToken);
+        params.delete('token');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        return urlToken;
+      }
+      return window.localStorage.getItem('lightTrailsToken');
+    } catch (error) {
+      console.warn('Unable to access auth token', error);
+    }
+    return null;
+  }
+
+  clearAuthToken() {
+    this.authToken = null;
+    try {
+      window.localStorage.removeItem('lightTrailsToken');
+    } catch (error) {
+      console.warn('Unable to clear auth token', error);
+    }
+  }
+
   loadStoredUsername() {
     try {
       const stored = window.localStorage.getItem('lightTrailsUsername');
@@ -272,6 +454,7 @@ class LightTrailsClient {
     this.userSettings.set(clientId, sanitized);
 
     const existingCursor = this.otherCursors.get(clientId) || {};
+    const viewCenter = this.toWorld({ x: this.canvas.width / 2, y: this.canvas.height / 2 });
     const updatedCursor = {
       ...existingCursor,
       color: sanitized.color,
@@ -279,14 +462,14 @@ class LightTrailsClient {
       glow: sanitized.glow,
       cursorMode: sanitized.cursorMode,
       username: sanitized.username,
-      x: existingCursor.x ?? window.innerWidth * 0.5,
-      y: existingCursor.y ?? window.innerHeight * 0.5,
-      timestamp: Date.now(),
+      x: existingCursor.x ?? viewCenter.x,
+      y: existingCursor.y ?? viewCenter.y,
+      timestamp: this.getServerTime(),
       settings: sanitized
     };
 
     this.otherCursors.set(clientId, updatedCursor);
-    this.updateUsernameTag(clientId, updatedCursor);
+    this.updateUsernameTag(clientId, { ...updatedCursor, ...this.toScreen(updatedCursor) });
   }
 
   generateDefaultUsername() {
@@ -372,7 +555,6 @@ class LightTrailsClient {
       if (now - entry.lastUpdated > timeout) {
         this.removeUsernameTag(clientId);
         this.otherCursors.delete(clientId);
-        this.userSettings.delete(clientId);
       }
     });
   }
@@ -386,17 +568,145 @@ class LightTrailsClient {
     this.canvas.height = height;
     this.cursorCanvas.width = width;
     this.cursorCanvas.height = height;
+    this.skyCanvas.width = width;
+    this.skyCanvas.height = height;
+    
+    this.view = this.computeView(width, height);
+    if (this.follow?.view) {
+      this.applyFollowView(this.follow.view);
+    }
+    this.scheduleViewBroadcast();
     
     // Redraw existing trails
     this.redrawCanvas();
   }
 
+  computeView(width, height) {
+    const scale = Math.min(width / this.logicalWidth, height / this.logicalHeight) * this.camera.zoom;
+    return {
+      scale,
+      offsetX: width / 2 - this.camera.x * scale,
+      offsetY: height / 2 - this.camera.y * scale
+    };
+  }
+
+  // Canvas pixels -> world units (what we store and send)
+  toWorld(point) {
+    return {
+      x: (point.x - this.view.offsetX) / this.view.scale,
+      y: (point.y - this.view.offsetY) / this.view.scale
+    };
+  }
+
+  // World units -> canvas pixels (what we draw)
+  toScreen(point) {
+    return {
+      x: point.x * this.view.scale + this.view.offsetX,
+      y: point.y * this.view.scale + this.view.offsetY
+    };
+  }
+
+  // Screen-space copies of trail points for rendering; stored points stay in world units
+  projectPoints(points) {
+    return points.map((point) => ({ ...point, ...this.toScreen(point) }));
+  }
+
+  setCamera(x, y, zoom = this.camera.zoom) {
+    const limit = this.maxWorldCoordinate;
+    this.camera = {
+      x: this.clamp(x, -limit, limit),
+      y: this.clamp(y, -limit, limit),
+      zoom: this.clamp(zoom, this.minZoom, this.maxZoom)
+    };
+    this.view = this.computeView(this.canvas.width, this.canvas.height);
+    // The trail canvas keeps a fading afterimage; drop it so nothing smears while the view moves
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.scheduleViewBroadcast();
+  }
+
+  panBy(dx, dy) {
+    this.setCamera(this.camera.x - dx / this.view.scale, this.camera.y - dy / this.view.scale);
+  }
+
+  // Zoom keeping the world point under `screenPoint` fixed on screen
+  zoomAt(screenPoint, factor) {
+    const anchor = this.toWorld(screenPoint);
+    this.setCamera(this.camera.x, this.camera.y, this.camera.zoom * factor);
+    const shifted = this.toWorld(screenPoint);
+    this.setCamera(this.camera.x + anchor.x - shifted.x, this.camera.y + anchor.y - shifted.y);
+  }
+
+  resetView() {
+    this.stopFollowing();
+    this.setCamera(this.logicalWidth / 2, this.logicalHeight / 2, 1);
+  }
+
+  startPan(e) {
+    this.stopFollowing();
+    this.panStart = this.getCanvasCoordinates(e);
+    this.canvas.classList.add('panning');
+  }
+
+  updatePan(e) {
+    const coords = this.getCanvasCoordinates(e);
+    this.panBy(coords.x - this.panStart.x, coords.y - this.panStart.y);
+    this.panStart = coords;
+  }
+
+  stopPan() {
+    this.panStart = null;
+    this.canvas.classList.remove('panning');
+  }
+
+  handleWheelZoom(e) {
+    e.preventDefault();
+    this.stopFollowing();
+    // Trackpad pinches arrive as ctrl+wheel with small deltas; line-based deltas are scaled to pixels
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const factor = Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.0015));
+    this.zoomAt(this.getCanvasCoordinates(e), factor);
+  }
+
+  getPinchState(touches) {
+    const a = this.getCanvasCoordinates(touches[0]);
+    const b = this.getCanvasCoordinates(touches[1]);
+    return {
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+      midpoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    };
+  }
+
+  updatePinch(touches) {
+    const next = this.getPinchState(touches);
+    this.zoomAt(next.midpoint, next.distance / this.pinch.distance);
+    this.panBy(next.midpoint.x - this.pinch.midpoint.x, next.midpoint.y - this.pinch.midpoint.y);
+    this.pinch = next;
+  }
+
+  handlePanKey(e) {
+    if (e.code !== 'Space') return;
+    if (e.type === 'keydown') {
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA' || target.tagName === 'BUTTON')) {
+        return;
+      }
+      e.preventDefault();
+    }
+    this.spaceHeld = e.type === 'keydown';
+    this.canvas.classList.toggle('pan-ready', this.spaceHeld);
+  }
+
   initializeUI() {
     const usernameInput = document.getElementById('usernameInput');
     if (usernameInput) {
       this.usernameInput = usernameInput;
       usernameInput.value = this.username;
       usernameInput.addEventListener('input', (e) => {
+        // Authenticated names come from the token and cannot be edited
+        if (this.isAuthenticated) {
+          usernameInput.value = this.username;
+          return;
+        }
         const rawValue = e.target.value.slice(0, 18);
         this.username = rawValue.trim() ? rawValue : this.generateDefaultUsername();
         usernameInput.value = this.username;
@@ -435,12 +745,31 @@ class LightTrailsClient {
     if (clearBtn) {
       this.clearBtn = clearBtn;
       clearBtn.addEventListener('click', () => {
-        this.clearCanvas(true);
+        this.requestClear();
       });
     } else {
       console.warn('Clear button element not found');
     }
 
+    this.clearPolicySelect = document.getElementById('clearPolicySelect');
+    if (this.clearPolicySelect) {
+      this.clearPolicySelect.addEventListener('change', (e) => {
+        this.setClearPolicy(e.target.value);
+      });
+    }
+    this.muteBanner = document.getElementById('muteBanner');
+    this.muteBannerText = document.getElementById('muteBannerText');
+    this.clearVoteBanner = document.getElementById('clearVoteBanner');
+    this.clearVoteText = document.getElementById('clearVoteText');
+    this.clearVoteApproveBtn = document.getElementById('clearVoteApproveBtn');
+    this.clearVoteRejectBtn = document.getElementById('clearVoteRejectBtn');
+    if (this.clearVoteApproveBtn) {
+      this.clearVoteApproveBtn.addEventListener('click', () => this.sendClearVote(true));
+    }
+    if (this.clearVoteRejectBtn) {
+      this.clearVoteRejectBtn.addEventListener('click', () => this.sendClearVote(false));
+    }
+
     const sizeSlider = document.getElementById('sizeSlider');
     const sizeValue = document.getElementById('sizeValue');
     if (sizeSlider) {
@@ -490,10 +819,134 @@ class LightTrailsClient {
       console.warn('Cursor mode button not found');
     }
 
+    this.initializeParticipantsUI();
+
+    const resetViewBtn = document.getElementById('resetViewBtn');
+    if (resetViewBtn) {
+      resetViewBtn.addEventListener('click', () => this.resetView());
+    }
+
+    this.initializeReplayUI();
+    this.initializeExportUI();
     this.refreshUIFromSettings();
     this.setupDrawingEvents();
   }
 
+  initializeExportUI() {
+    this.exportScaleSelect = document.getElementById('exportScaleSelect');
+    this.exportBackgroundSelect = document.getElementById('exportBackgroundSelect');
+    this.exportTagsToggle = document.getElementById('exportTagsToggle');
+
+    const exportPngBtn = document.getElementById('exportPngBtn');
+    if (exportPngBtn) {
+      exportPngBtn.addEventListener('click', () => {
+        this.exportPng({
+          scale: this.exportScaleSelect ? parseFloat(this.exportScaleSelect.value) : 1,
+          background: this.exportBackgroundSelect ? this.exportBackgroundSelect.value : 'starfield',
+          includeTags: this.exportTagsToggle ? this.exportTagsToggle.checked : true
+        });
+      });
+    } else {
+      console.warn('Export button not found');
+    }
+
+    this.captureDurationSelect = document.getElementById('captureDurationSelect');
+    this.captureArmToggle = document.getElementById('captureArmToggle');
+    this.captureClipBtn = document.getElementById('captureClipBtn');
+    if (this.captureArmToggle) {
+      this.captureArmToggle.disabled = !this.captureSupported;
+      this.captureArmToggle.addEventListener('change', () => this.setCaptureArmed(this.captureArmToggle.checked));
+    }
+    if (this.captureClipBtn) {
+      this.updateCaptureButton(null);
+      if (!this.captureSupported) {
+        this.captureClipBtn.title = 'Clip capture needs MediaRecorder and canvas.captureStream()';
+      }
+      this.captureClipBtn.addEventListener('click', () => {
+        const seconds = this.captureDurationSelect ? parseFloat(this.captureDurationSelect.value) : 15;
+        this.captureClip(seconds);
+      });
+    }
+
+    const exportSvgBtn = document.getElementById('exportSvgBtn');
+    if (exportSvgBtn) {
+      exportSvgBtn.addEventListener('click', () => {
+        this.exportSvg({
+          background: this.exportBackgroundSelect ? this.exportBackgroundSelect.value : 'starfield'
+        });
+      });
+    }
+  }
+
+  initializeReplayUI() {
+    this.replayPanel = document.getElementById('replayPanel');
+    if (!this.replayPanel) {
+      console.warn('Replay panel not found');
+      return;
+    }
+
+    this.replaySessionSelect = document.getElementById('replaySessionSelect');
+    this.replayPlayBtn = document.getElementById('replayPlayBtn');
+    this.replaySpeedSelect = document.getElementById('replaySpeedSelect');
+    this.replayScrubber = document.getElementById('replayScrubber');
+    this.replayTimeLabel = document.getElementById('replayTimeLabel');
+
+    const replayBtn = document.getElementById('replayBtn');
+    if (replayBtn) {
+      replayBtn.addEventListener('click', () => this.openReplayPanel());
+    }
+
+    const replayExitBtn = document.getElementById('replayExitBtn');
+    if (replayExitBtn) {
+      replayExitBtn.addEventListener('click', () => this.exitReplay());
+    }
+
+    if (this.replaySessionSelect) {
+      this.replaySessionSelect.addEventListener('change', (e) => {
+        if (e.target.value) {
+          this.loadReplaySession(e.target.value);
+        }
+      });
+    }
+
+    if (this.replayPlayBtn) {
+      this.replayPlayBtn.addEventListener('click', () => this.toggleReplayPlayback());
+    }
+
+    if (this.replaySpeedSelect) {
+      this.replaySpeedSelect.innerHTML = '';
+      this.replaySpeeds.forEach((speed) => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}x`;
+        option.selected = speed === 1;
+        this.replaySpeedSelect.appendChild(option);
+      });
+      this.replaySpeedSelect.addEventListener('change', (e) => {
+        this.setReplaySpeed(parseFloat(e.target.value));
+      });
+    }
+
+    if (this.replayScrubber) {
+      this.replayScrubber.addEventListener('pointerdown', () => {
+        if (this.replay) this.replay.scrubbing = true;
+      });
+      window.addEventListener('pointerup', () => {
+        if (this.replay) this.replay.scrubbing = false;
+      });
+      this.replayScrubber.addEventListener('input', (e) => {
+        this.seekReplay(parseFloat(e.target.value));
+      });
+    }
+
+    // Deep link: /?room=name&replay=<sessionId>
+    const params = new URLSearchParams(window.location.search);
+    const sessionId = params.get('replay');
+    if (sessionId) {
+      this.openReplayPanel(sessionId);
+    }
+  }
+
   setupDrawingEvents() {
     if (!this.canvas) {
       console.error('Canvas not found, cannot setup drawing events');
@@ -502,27 +955,45 @@ class LightTrailsClient {
     
     console.log('Setting up drawing events on canvas'); // Debug log
     
-    // Mouse events
+    // Mouse events: space+drag or middle-drag pans the view, anything else draws
     this.canvas.addEventListener('mousedown', (e) => {
       console.log('mousedown event', e); // Debug log
+      if (this.spaceHeld || e.button === 1) {
+        e.preventDefault();
+        this.startPan(e);
+        return;
+      }
       this.startDrawing(e);
     });
     this.canvas.addEventListener('mousemove', (e) => {
+      if (this.panStart) {
+        this.updatePan(e);
+        return;
+      }
       this.draw(e);
       this.trackMousePosition(e);
     });
     this.canvas.addEventListener('mouseup', () => {
       console.log('mouseup event'); // Debug log
+      this.stopPan();
       this.stopDrawing();
     });
     this.canvas.addEventListener('mouseleave', () => {
+      this.stopPan();
       this.stopDrawing();
       this.lastMousePosition = null;
     });
+    this.canvas.addEventListener('wheel', (e) => this.handleWheelZoom(e), { passive: false });
 
-    // Touch events
+    // Touch events: one finger draws, two fingers pan and pinch-zoom
     this.canvas.addEventListener('touchstart', (e) => {
       e.preventDefault();
+      if (e.touches.length >= 2) {
+        this.stopDrawing();
+        this.stopFollowing();
+        this.pinch = this.getPinchState(e.touches);
+        return;
+      }
       const touch = e.touches[0];
       const mouseEvent = new MouseEvent('mousedown', {
         clientX: touch.clientX,
@@ -533,6 +1004,12 @@ class LightTrailsClient {
 
     this.canvas.addEventListener('touchmove', (e) => {
       e.preventDefault();
+      if (this.pinch) {
+        if (e.touches.length >= 2) {
+          this.updatePinch(e.touches);
+        }
+        return;
+      }
       const touch = e.touches[0];
       const mouseEvent = new MouseEvent('mousemove', {
         clientX: touch.clientX,
@@ -543,8 +1020,415 @@ class LightTrailsClient {
 
     this.canvas.addEventListener('touchend', (e) => {
       e.preventDefault();
+      // Lifting every finger ends a pinch; the remaining finger should not start a stroke
+      if (e.touches.length === 0) {
+        this.pinch = null;
+      }
       this.stopDrawing();
     });
+
+    // Undo / redo my own strokes
+    window.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+    window.addEventListener('keydown', (e) => this.handlePanKey(e));
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.follow) {
+        this.stopFollowing();
+      }
+    });
+    window.addEventListener('keyup', (e) => this.handlePanKey(e));
+  }
+
+  /**
+   * Participants panel and minimap
+   * Everyone in userSettings is listed with their color, cursor mode and activity;
+   * the minimap plots cursors and recent trail points across the world.
+   */
+  initializeParticipantsUI() {
+    this.participantsPanel = document.getElementById('participantsPanel');
+    this.participantsList = document.getElementById('participantsList');
+    this.participantsCount = document.getElementById('participantsCount');
+    this.minimapCanvas = document.getElementById('minimapCanvas');
+    this.minimapCtx = this.minimapCanvas ? this.minimapCanvas.getContext('2d') : null;
+
+    const participantsToggle = document.getElementById('participantsToggle');
+    if (participantsToggle && this.participantsPanel) {
+      participantsToggle.addEventListener('click', () => {
+        this.participantsPanel.classList.toggle('collapsed');
+        this.lastParticipantsRender = 0;
+      });
+    }
+
+    if (this.participantsList) {
+      this.participantsList.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]');
+        const item = e.target.closest('[data-client-id]');
+        if (!action || !item) return;
+        const clientId = item.dataset.clientId;
+        if (action.dataset.action === 'role') {
+          this.setParticipantRole(clientId, action.dataset.role);
+        } else if (action.dataset.action === 'follow') {
+          if (this.follow?.clientId === clientId) {
+            this.stopFollowing();
+          } else {
+            this.startFollowing(clientId);
+          }
+        } else {
+          this.focusParticipant(clientId);
+        }
+      });
+    }
+
+    this.followBanner = document.getElementById('followBanner');
+    this.followBannerText = document.getElementById('followBannerText');
+    const followStopBtn = document.getElementById('followStopBtn');
+    if (followStopBtn) {
+      followStopBtn.addEventListener('click', () => this.stopFollowing());
+    }
+
+    if (this.minimapCanvas) {
+      this.minimapCanvas.addEventListener('click', (e) => {
+        const transform = this.minimapTransform;
+        if (!transform) return;
+        // The element may be drawn smaller than its backing canvas on narrow screens
+        const rect = this.minimapCanvas.getBoundingClientRect();
+        const pixelRatio = this.minimapCanvas.width / rect.width;
+        const x = ((e.clientX - rect.left) * pixelRatio - transform.offsetX) / transform.scale + transform.minX;
+        const y = ((e.clientY - rect.top) * pixelRatio - transform.offsetY) / transform.scale + transform.minY;
+        this.stopFollowing();
+        this.setCamera(x, y);
+      });
+    }
+  }
+
+  noteParticipantActivity(clientId, position, drew) {
+    const now = Date.now();
+    const entry = this.participantActivity.get(clientId) || { lastSeen: 0, lastDrew: 0 };
+    entry.lastSeen = now;
+    if (drew) entry.lastDrew = now;
+    if (position && typeof position.x === 'number') {
+      entry.x = position.x;
+      entry.y = position.y;
+    }
+    this.participantActivity.set(clientId, entry);
+  }
+
+  // Live cursor if there is one, otherwise wherever we last saw the user
+  getParticipantPosition(clientId) {
+    if (clientId === this.clientId) {
+      return this.lastMousePosition ? this.toWorld(this.lastMousePosition) : null;
+    }
+    const cursor = this.otherCursors.get(clientId);
+    if (cursor && typeof cursor.x === 'number') return cursor;
+    const activity = this.participantActivity.get(clientId);
+    return activity && typeof activity.x === 'number' ? activity : null;
+  }
+
+  getParticipantState(clientId, now) {
+    if (clientId === this.clientId) return 'you';
+    const activity = this.participantActivity.get(clientId);
+    if (!activity) return 'idle';
+    if (now - activity.lastDrew < this.participantDrawingWindow) return 'drawing';
+    return now - activity.lastSeen < this.participantIdleAfter ? 'active' : 'idle';
+  }
+
+  getParticipants(now) {
+    const participants = [];
+    if (this.clientId) {
+      participants.push({
+        clientId: this.clientId,
+        username: this.username,
+        color: this.currentColor,
+        cursorMode: this.cursorMode,
+        role: this.role,
+        state: 'you'
+      });
+    }
+    this.userSettings.forEach((settings, clientId) => {
+      if (clientId === this.clientId) return;
+      participants.push({
+        clientId,
+        username: settings.username || this.getFallbackUsername(clientId),
+        color: settings.color || '#ffffff',
+        cursorMode: settings.cursorMode === 'star' ? 'star' : 'halo',
+        role: this.participantRoles.get(clientId) || null,
+        state: this.getParticipantState(clientId, now)
+      });
+    });
+    return participants;
+  }
+
+  updateParticipantsPanel(force = false) {
+    if (!this.participantsList) return;
+    const now = Date.now();
+    if (!force && now - this.lastParticipantsRender < this.participantsRefreshInterval) return;
+    this.lastParticipantsRender = now;
+
+    const participants = this.getParticipants(now);
+    if (this.participantsCount) {
+      this.participantsCount.textContent = String(participants.length);
+    }
+    if (this.participantsPanel && this.participantsPanel.classList.contains('collapsed')) return;
+
+    const stateOrder = { you: 0, drawing: 1, active: 2, idle: 3 };
+    participants.sort((a, b) => (stateOrder[a.state] - stateOrder[b.state]) || a.username.localeCompare(b.username));
+
+    const fragment = document.createDocumentFragment();
+    participants.forEach((participant) => {
+      const item = document.createElement('div');
+      item.className = `participant participant-${participant.state}`;
+      item.dataset.clientId = participant.clientId;
+
+      const main = document.createElement('button');
+      main.type = 'button';
+      main.className = 'participant-main';
+      main.dataset.action = 'focus';
+      main.title = `Jump to ${participant.username}`;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'participant-swatch';
+      swatch.style.background = participant.color;
+      swatch.style.boxShadow = `0 0 8px ${this.hexToRgba(participant.color, 0.7)}`;
+
+      const name = document.createElement('span');
+      name.className = 'participant-name';
+      name.textContent = participant.username;
+
+      const mode = document.createElement('span');
+      mode.className = 'participant-mode';
+      mode.textContent = participant.cursorMode === 'star' ? '✦' : '◯';
+      mode.title = participant.cursorMode === 'star' ? 'Star cursor' : 'Halo cursor';
+
+      const state = document.createElement('span');
+      state.className = 'participant-state';
+      const followers = this.followerCounts.get(participant.clientId) || 0;
+      state.textContent = followers > 0 ? `${participant.state} · ${followers} following` : participant.state;
+
+      main.append(swatch, name, mode, state);
+      if (participant.role) {
+        const role = document.createElement('span');
+        role.className = `participant-role role-${participant.role}`;
+        role.textContent = participant.role;
+        main.appendChild(role);
+      }
+      item.appendChild(main);
+
+      if (this.role === 'owner' && participant.clientId !== this.clientId && participant.role) {
+        const roleBtn = document.createElement('button');
+        roleBtn.type = 'button';
+        roleBtn.className = 'participant-role-toggle';
+        roleBtn.dataset.action = 'role';
+        const isSpectator = participant.role === 'spectator';
+        roleBtn.dataset.role = isSpectator ? 'drawer' : 'spectator';
+        roleBtn.textContent = isSpectator ? 'Let draw' : 'Spectate';
+        roleBtn.title = isSpectator ? `Allow ${participant.username} to draw` : `Make ${participant.username} a spectator`;
+        item.appendChild(roleBtn);
+      }
+
+      if (participant.clientId !== this.clientId) {
+        const followBtn = document.createElement('button');
+        followBtn.type = 'button';
+        followBtn.className = 'participant-follow';
+        followBtn.dataset.action = 'follow';
+        const following = this.follow?.clientId === participant.clientId;
+        followBtn.classList.toggle('active', following);
+        followBtn.textContent = following ? 'Unfollow' : 'Follow';
+        item.appendChild(followBtn);
+      }
+      fragment.appendChild(item);
+    });
+    this.participantsList.replaceChildren(fragment);
+  }
+
+  canDraw() {
+    return this.role !== 'spectator';
+  }
+
+  // Adopt the role the server assigned us and update the controls that depend on it
+  applyRole(role) {
+    this.role = role;
+    if (this.clientId) this.participantRoles.set(this.clientId, role);
+    const spectating = !this.canDraw();
+    document.body.classList.toggle('role-spectator', spectating);
+    this.updateClearControls();
+    if (spectating) {
+      this.abandonStroke();
+    }
+    this.updateParticipantsPanel(true);
+  }
+
+  // The server drops the rest of the stroke, so abandon it without sending strokeEnd
+  abandonStroke() {
+    if (!this.isDrawing) return;
+    if (this.strokeFlushTimeout) {
+      clearTimeout(this.strokeFlushTimeout);
+      this.strokeFlushTimeout = null;
+    }
+    this.pendingStrokePoints = [];
+    this.isDrawing = false;
+    this.trailPoints = [];
+    this.currentStrokeId = null;
+  }
+
+  isMuted() {
+    return this.mutedUntil > Date.now();
+  }
+
+  // remaining is relative so a skewed local clock does not shorten or stretch the mute
+  applyMute(data) {
+    clearTimeout(this.muteTimeout);
+    this.mutedUntil = data.remaining > 0 ? Date.now() + data.remaining : 0;
+    if (this.isMuted()) {
+      this.abandonStroke();
+      this.muteTimeout = setTimeout(() => this.applyMute({ remaining: 0 }), data.remaining);
+    }
+    document.body.classList.toggle('muted', this.isMuted());
+    this.updateClearControls();
+    if (!this.muteBanner) return;
+    if (this.isMuted()) {
+      const minutes = Math.ceil(data.remaining / 60000);
+      this.muteBannerText.textContent = `A moderator muted your drawing for ${minutes} min${data.reason ? ` · ${data.reason}` : ''}`;
+      this.muteBanner.classList.add('visible');
+    } else {
+      this.muteBanner.classList.remove('visible');
+    }
+  }
+
+  // Owner only; the server rejects role changes from anyone else
+  setParticipantRole(clientId, role) {
+    if (this.role !== 'owner' || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ type: 'setRole', targetId: clientId, role }));
+  }
+
+  // Center the view on a participant and briefly highlight their cursor
+  focusParticipant(clientId) {
+    this.stopFollowing();
+    const position = this.getParticipantPosition(clientId);
+    if (position) {
+      this.setCamera(position.x, position.y);
+    }
+    this.spotlight = { clientId, until: Date.now() + this.spotlightDuration };
+  }
+
+  drawSpotlight(now) {
+    if (!this.spotlight) return;
+    if (now > this.spotlight.until) {
+      this.spotlight = null;
+      return;
+    }
+    const settings = this.spotlight.clientId === this.clientId
+      ? { color: this.currentColor }
+      : (this.userSettings.get(this.spotlight.clientId) || {});
+    const remaining = (this.spotlight.until - now) / this.spotlightDuration;
+    this.drawCursorHighlight(this.spotlight.clientId, settings.color || '#ffffff', Math.min(1, remaining * 1.5), now);
+  }
+
+  // Pulsing double ring around a participant's cursor on the cursor layer
+  drawCursorHighlight(clientId, color, strength, now) {
+    const position = this.getParticipantPosition(clientId);
+    if (!position) return;
+
+    const { x, y } = this.toScreen(position);
+    const pulse = (Math.sin(now / 120) + 1) / 2;
+    const ctx = this.cursorCtx;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    ctx.shadowBlur = 24;
+    ctx.shadowColor = this.hexToRgba(color, 0.8);
+    [0, 1].forEach((ring) => {
+      ctx.beginPath();
+      ctx.arc(x, y, 28 + ring * 16 + pulse * 10, 0, Math.PI * 2);
+      ctx.strokeStyle = this.hexToRgba(color, strength * (0.8 - ring * 0.35));
+      ctx.lineWidth = 3 - ring;
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  renderMinimap() {
+    const ctx = this.minimapCtx;
+    if (!ctx || !this.view) return;
+    const now = Date.now();
+    if (now - this.lastMinimapRender < this.minimapRefreshInterval) return;
+    this.lastMinimapRender = now;
+
+    const width = this.minimapCanvas.width;
+    const height = this.minimapCanvas.height;
+    const trailClock = this.getTrailClock();
+    const viewport = {
+      ...this.toWorld({ x: 0, y: 0 }),
+      right: this.toWorld({ x: this.canvas.width, y: 0 }).x,
+      bottom: this.toWorld({ x: 0, y: this.canvas.height }).y
+    };
+
+    // Fit the home area, the current view, everyone's cursor and their recent trails
+    const participants = this.getParticipants(now);
+    const markers = participants
+      .map((participant) => ({ ...participant, position: this.getParticipantPosition(participant.clientId) }))
+      .filter((participant) => participant.position);
+    let minX = Math.min(0, viewport.x);
+    let minY = Math.min(0, viewport.y);
+    let maxX = Math.max(this.logicalWidth, viewport.right);
+    let maxY = Math.max(this.logicalHeight, viewport.bottom);
+    const include = (point) => {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    };
+    markers.forEach((marker) => include(marker.position));
+    const heat = [];
+    this.allTrails.forEach((points) => {
+      const step = Math.max(1, Math.ceil(points.length / 60));
+      for (let i = 0; i < points.length; i += step) {
+        const point = points[i];
+        const age = trailClock - point.timestamp;
+        if (age < this.trailFadeTime) {
+          heat.push({ point, alpha: 1 - age / this.trailFadeTime });
+          include(point);
+        }
+      }
+    });
+
+    const padding = 6;
+    const scale = Math.min((width - padding * 2) / (maxX - minX), (height - padding * 2) / (maxY - minY));
+    const offsetX = (width - (maxX - minX) * scale) / 2;
+    const offsetY = (height - (maxY - minY) * scale) / 2;
+    this.minimapTransform = { scale, minX, minY, offsetX, offsetY };
+    const project = (point) => ({
+      x: (point.x - minX) * scale + offsetX,
+      y: (point.y - minY) * scale + offsetY
+    });
+
+    ctx.clearRect(0, 0, width, height);
+
+    const home = project({ x: 0, y: 0 });
+    ctx.strokeStyle = 'rgba(255, 214, 232, 0.18)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(home.x, home.y, this.logicalWidth * scale, this.logicalHeight * scale);
+
+    heat.forEach(({ point, alpha }) => {
+      const { x, y } = project(point);
+      ctx.fillStyle = this.hexToRgba(point.color || '#ffffff', 0.2 + alpha * 0.6);
+      ctx.fillRect(x - 1, y - 1, 2, 2);
+    });
+
+    const view = project(viewport);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.strokeRect(view.x, view.y, (viewport.right - viewport.x) * scale, (viewport.bottom - viewport.y) * scale);
+
+    markers.forEach((marker) => {
+      const { x, y } = project(marker.position);
+      const spotlighted = this.spotlight && this.spotlight.clientId === marker.clientId;
+      ctx.beginPath();
+      ctx.arc(x, y, spotlighted ? 5 : 3, 0, Math.PI * 2);
+      ctx.fillStyle = this.hexToRgba(marker.color, marker.state === 'idle' ? 0.45 : 1);
+      ctx.fill();
+      if (marker.state === 'you' || spotlighted) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.stroke();
+      }
+    });
   }
 
   getRandomColor() {
@@ -722,21 +1606,26 @@ class LightTrailsClient {
   }
 
   startDrawing(e) {
-    console.log('startDrawing called', e); // Debug log
+    if (this.replay) return; // Drawing is disabled while watching a replay
+    if (!this.canDraw() || this.isMuted()) return;
     this.isDrawing = true;
-    const coords = this.getCanvasCoordinates(e);
-    console.log('Canvas coordinates:', coords); // Debug log
+    const coords = this.toWorld(this.getCanvasCoordinates(e));
     this.createRipple(e);
-    const timestamp = Date.now();
+    const timestamp = this.getServerTime();
+    this.currentStrokeId = this.generateStrokeId();
     const startPoint = {
       x: coords.x,
       y: coords.y,
       color: this.currentColor,
       size: this.currentSize,
       glow: this.currentGlow,
+      strokeId: this.currentStrokeId,
       timestamp
     };
     this.trailPoints = [startPoint];
+    if (this.clientId) {
+      this.recordOwnStroke(this.currentStrokeId);
+    }
     
     // Initialize trail for this client if not exists (only if clientId is set)
     if (this.clientId) {
@@ -759,20 +1648,23 @@ class LightTrailsClient {
       }
       this.allTrails.get(tempId).push({ ...startPoint });
     }
+
+    this.beginStroke(startPoint);
   }
 
   draw(e) {
     if (!this.isDrawing) return;
     
-    const coords = this.getCanvasCoordinates(e);
-    const now = Date.now();
+    const coords = this.toWorld(this.getCanvasCoordinates(e));
+    const now = this.getServerTime();
     
     // Only add point if it's far enough from last point (for smoother trails)
     if (this.trailPoints.length > 0) {
       const lastPoint = this.trailPoints[this.trailPoints.length - 1];
       const dx = coords.x - lastPoint.x;
       const dy = coords.y - lastPoint.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
+      // Spacing is measured on screen so it feels the same at every zoom level
+      const distance = Math.sqrt(dx * dx + dy * dy) * this.view.scale;
       
       if (distance < this.trailPointSpacing) {
         return; // Skip point if too close
@@ -785,6 +1677,7 @@ class LightTrailsClient {
       color: this.currentColor,
       size: this.currentSize,
       glow: this.currentGlow,
+      strokeId: this.currentStrokeId,
       timestamp: now
     };
     this.trailPoints.push(point);
@@ -803,30 +1696,194 @@ class LightTrailsClient {
       });
     }
     
-    // Send trail segment to server
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      const settings = this.getCurrentSettings();
-      this.ws.send(JSON.stringify({
-        type: 'lightTrail',
-        trail: {
-          x: coords.x,
-          y: coords.y,
-          size: settings.size,
-          glow: settings.glow
-        },
-        color: settings.color,
-        size: settings.size,
-        glow: settings.glow,
-        cursorMode: settings.cursorMode,
-        username: settings.username
-      }));
-    }
+    this.queueStrokePoint(point);
   }
 
   stopDrawing() {
     if (this.isDrawing) {
       this.isDrawing = false;
+      this.endStroke();
       this.trailPoints = [];
+      this.currentStrokeId = null;
+    }
+  }
+
+  beginStroke(startPoint) {
+    this.pendingStrokePoints = [];
+    this.lastSentStrokePoint = null;
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const settings = this.getCurrentSettings();
+    this.ws.send(JSON.stringify({
+      type: 'strokeStart',
+      strokeId: startPoint.strokeId,
+      x: startPoint.x,
+      y: startPoint.y,
+      color: settings.color,
+      size: settings.size,
+      glow: settings.glow,
+      cursorMode: settings.cursorMode,
+      username: settings.username
+    }));
+    this.lastSentStrokePoint = { x: startPoint.x, y: startPoint.y, timestamp: startPoint.timestamp };
+  }
+
+  queueStrokePoint(point) {
+    // Points are only sent for strokes the server has seen start
+    if (!this.lastSentStrokePoint) return;
+
+    const last = this.lastSentStrokePoint;
+    const dx = Math.round((point.x - last.x) * 10) / 10;
+    const dy = Math.round((point.y - last.y) * 10) / 10;
+    const dt = Math.min(Math.max(Math.round(point.timestamp - last.timestamp), 0), this.maxStrokeDeltaTime);
+    this.pendingStrokePoints.push([dx, dy, dt]);
+    // Track the rounded position so deltas do not drift from what peers reconstruct
+    this.lastSentStrokePoint = { x: last.x + dx, y: last.y + dy, timestamp: point.timestamp };
+
+    if (this.pendingStrokePoints.length >= this.strokeBatchMaxPoints) {
+      this.flushStrokePoints();
+    } else if (!this.strokeFlushTimeout) {
+      this.strokeFlushTimeout = setTimeout(() => this.flushStrokePoints(), this.strokeBatchInterval);
+    }
+  }
+
+  flushStrokePoints() {
+    if (this.strokeFlushTimeout) {
+      clearTimeout(this.strokeFlushTimeout);
+      this.strokeFlushTimeout = null;
+    }
+    if (this.pendingStrokePoints.length === 0) return;
+
+    const points = this.pendingStrokePoints;
+    this.pendingStrokePoints = [];
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      const binaryFrame = this.wireFormat === 'binary'
+        ? this.encodeBinaryStrokePoints(this.currentStrokeId, points)
+        : null;
+      if (binaryFrame) {
+        this.ws.send(binaryFrame);
+        return;
+      }
+      this.ws.send(JSON.stringify({
+        type: 'strokePoints',
+        strokeId: this.currentStrokeId,
+        points
+      }));
+    }
+  }
+
+  endStroke() {
+    if (!this.lastSentStrokePoint) return;
+    this.flushStrokePoints();
+    this.lastSentStrokePoint = null;
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({
+        type: 'strokeEnd',
+        strokeId: this.currentStrokeId
+      }));
+    }
+  }
+
+  generateStrokeId() {
+    this.strokeCounter += 1;
+    return `s${Date.now().toString(36)}${this.strokeCounter.toString(36)}`;
+  }
+
+  recordOwnStroke(strokeId) {
+    this.strokeHistory.push(strokeId);
+    if (this.strokeHistory.length > this.maxStrokeHistory) {
+      this.strokeHistory.shift();
+    }
+    // A new stroke invalidates anything that could have been redone
+    this.redoStack = [];
+  }
+
+  undoLastStroke() {
+    if (this.replay || !this.clientId || !this.canDraw() || this.isMuted() || this.strokeHistory.length === 0) return;
+
+    const strokeId = this.strokeHistory.pop();
+    this.removeStroke(this.clientId, strokeId);
+    this.redoStack.push(strokeId);
+
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'undoStroke', strokeId }));
+    }
+  }
+
+  redoLastStroke() {
+    if (this.replay || !this.clientId || !this.canDraw() || this.isMuted() || this.redoStack.length === 0) return;
+
+    const strokeId = this.redoStack.pop();
+    this.restoreStroke(this.clientId, strokeId);
+    this.strokeHistory.push(strokeId);
+
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'redoStroke', strokeId }));
+    }
+  }
+
+  getStrokeKey(clientId, strokeId) {
+    return `${clientId}:${strokeId}`;
+  }
+
+  // Remove a stroke's points from a client's trail, keeping them for a later redo
+  removeStroke(clientId, strokeId, now = this.getServerTime()) {
+    this.pruneUndoneStrokes(now);
+    const trailArray = this.allTrails.get(clientId);
+    if (!trailArray || !strokeId) return;
+
+    const removed = trailArray.filter((point) => point.strokeId === strokeId);
+    if (removed.length === 0) return;
+
+    this.allTrails.set(clientId, trailArray.filter((point) => point.strokeId !== strokeId));
+    this.undoneStrokes.set(this.getStrokeKey(clientId, strokeId), {
+      clientId,
+      points: removed,
+      removedAt: now
+    });
+  }
+
+  // Restore an undone stroke, shifted in time so it visibly reappears and fades again
+  restoreStroke(clientId, strokeId, now = this.getServerTime()) {
+    const key = this.getStrokeKey(clientId, strokeId);
+    const undone = this.undoneStrokes.get(key);
+    if (!undone) return;
+    this.undoneStrokes.delete(key);
+
+    const lastTimestamp = undone.points[undone.points.length - 1].timestamp;
+    const shift = now - lastTimestamp;
+    const restored = undone.points.map((point) => ({ ...point, timestamp: point.timestamp + shift }));
+
+    const trailArray = this.allTrails.get(clientId) || [];
+    const merged = trailArray.concat(restored).sort((a, b) => a.timestamp - b.timestamp);
+    this.allTrails.set(clientId, merged.slice(-500));
+  }
+
+  pruneUndoneStrokes(now = this.getServerTime()) {
+    this.undoneStrokes.forEach((entry, key) => {
+      if (now - entry.removedAt > this.undoneStrokeTtl) {
+        this.undoneStrokes.delete(key);
+      }
+    });
+  }
+
+  handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA')) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && e.shiftKey) {
+      e.preventDefault();
+      this.redoLastStroke();
+    } else if (key === 'z') {
+      e.preventDefault();
+      this.undoLastStroke();
+    } else if (key === 'y') {
+      e.preventDefault();
+      this.redoLastStroke();
     }
   }
 
@@ -841,21 +1898,131 @@ class LightTrailsClient {
     }
     
     this.lastMousePositionSent = now;
-    
-    // Send mouse position to server
+    this.sendMousePosition(coords);
+  }
+
+  sendMousePosition(coords) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const position = this.toWorld(coords);
+    // Our view only matters to followers, so it rides along only while someone follows us
+    const view = this.isBeingFollowed() ? this.getViewState() : null;
+    // Settings already reach the server through updateSettings, so binary frames carry only the position
+    if (this.wireFormat === 'binary') {
+      this.ws.send(this.encodeBinaryMousePosition(position, view));
+      return;
+    }
+    const settings = this.getCurrentSettings();
+    const message = {
+      type: 'mousePosition',
+      x: position.x,
+      y: position.y,
+      color: settings.color,
+      size: settings.size,
+      glow: settings.glow,
+      cursorMode: settings.cursorMode,
+      username: settings.username
+    };
+    if (view) {
+      message.view = view;
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Follow mode
+   * A leader adds its view (camera center, zoom, window size) to mousePosition while it
+   * has followers; followers fit that view into their own window and highlight the leader.
+   */
+  getViewState() {
+    return {
+      x: this.camera.x,
+      y: this.camera.y,
+      zoom: this.camera.zoom,
+      width: this.canvas.width,
+      height: this.canvas.height
+    };
+  }
+
+  isBeingFollowed() {
+    return Boolean(this.clientId) && (this.followerCounts.get(this.clientId) || 0) > 0;
+  }
+
+  // Send our view soon after it changes even if the mouse did not move
+  scheduleViewBroadcast() {
+    if (!this.isBeingFollowed() || this.viewBroadcastTimeout) return;
+    this.viewBroadcastTimeout = setTimeout(() => {
+      this.viewBroadcastTimeout = null;
+      this.lastMousePositionSent = Date.now();
+      this.sendMousePosition(this.lastMousePosition || { x: this.canvas.width / 2, y: this.canvas.height / 2 });
+    }, this.mousePositionThrottle);
+  }
+
+  startFollowing(clientId) {
+    if (!clientId || clientId === this.clientId || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ type: 'follow', targetId: clientId }));
+  }
+
+  stopFollowing() {
+    if (!this.follow) return;
+    this.follow = null;
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      const settings = this.getCurrentSettings();
-      this.ws.send(JSON.stringify({
-        type: 'mousePosition',
-        x: coords.x,
-        y: coords.y,
-        color: settings.color,
-        size: settings.size,
-        glow: settings.glow,
-        cursorMode: settings.cursorMode,
-        username: settings.username
-      }));
+      this.ws.send(JSON.stringify({ type: 'follow' }));
+    }
+    this.updateFollowBanner();
+    this.lastParticipantsRender = 0;
+  }
+
+  // Show at least the leader's whole window, centered where they are looking
+  applyFollowView(view) {
+    this.follow.view = view;
+    const leaderFit = Math.min(view.width / this.logicalWidth, view.height / this.logicalHeight);
+    const leaderScale = leaderFit * view.zoom;
+    const worldWidth = view.width / leaderScale;
+    const worldHeight = view.height / leaderScale;
+    const ownFit = Math.min(this.canvas.width / this.logicalWidth, this.canvas.height / this.logicalHeight);
+    const ownScale = Math.min(this.canvas.width / worldWidth, this.canvas.height / worldHeight);
+    this.setCamera(view.x, view.y, ownScale / ownFit);
+  }
+
+  updateFollowBanner() {
+    if (!this.followBanner) return;
+    if (!this.follow) {
+      this.followBanner.classList.remove('visible');
+      return;
     }
+    const settings = this.userSettings.get(this.follow.clientId) || {};
+    const name = settings.username || this.getFallbackUsername(this.follow.clientId);
+    const count = this.followerCounts.get(this.follow.clientId) || 1;
+    this.followBannerText.textContent = `Following ${name} · ${count} ${count === 1 ? 'follower' : 'followers'} · Esc to stop`;
+    this.followBanner.classList.add('visible');
+  }
+
+  // Outline the leader's window and ring their cursor
+  drawFollowOverlay(now) {
+    if (!this.follow) return;
+    const ctx = this.cursorCtx;
+    const settings = this.userSettings.get(this.follow.clientId) || {};
+    const color = settings.color || '#ffffff';
+    const view = this.follow.view;
+
+    ctx.save();
+    if (view) {
+      const leaderScale = Math.min(view.width / this.logicalWidth, view.height / this.logicalHeight) * view.zoom;
+      const topLeft = this.toScreen({
+        x: view.x - view.width / 2 / leaderScale,
+        y: view.y - view.height / 2 / leaderScale
+      });
+      const ratio = this.view.scale / leaderScale;
+      ctx.setLineDash([8, 6]);
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = this.hexToRgba(color, 0.55);
+      ctx.strokeRect(topLeft.x, topLeft.y, view.width * ratio, view.height * ratio);
+      ctx.setLineDash([]);
+    }
+    ctx.restore();
+
+    this.drawCursorHighlight(this.follow.clientId, color, 0.8, now);
   }
 
   drawTrail(trail, color) {
@@ -872,9 +2039,14 @@ class LightTrailsClient {
       color: trail.color || color,
       size: this.clamp(incoming.size ?? trail.size ?? 1, 0.5, 3),
       glow: this.clamp(incoming.glow ?? trail.glow ?? 1, 0.5, 3),
-      timestamp: Date.now()
+      strokeId: trail.strokeId || null,
+      // Points keep the server's timestamp so fading stays in sync; binary frames carry none
+      timestamp: typeof trail.timestamp === 'number' ? trail.timestamp : this.getServerTime()
     };
     
+    if (trail.clientId !== this.clientId) {
+      this.smoothRemoteTrail(trailArray, point);
+    }
     trailArray.push(point);
     
     this.lastTrailPoints.push({
@@ -903,35 +2075,1048 @@ class LightTrailsClient {
         username: sanitizedUsername || previous.username || this.getFallbackUsername(trail.clientId)
       };
 
-      this.userSettings.set(trail.clientId, mergedSettings);
+      this.userSettings.set(trail.clientId, mergedSettings);
+
+      const updatedCursor = {
+        x: point.x,
+        y: point.y,
+        color: mergedSettings.color,
+        size: mergedSettings.size,
+        glow: mergedSettings.glow,
+        cursorMode: mergedSettings.cursorMode,
+        username: mergedSettings.username,
+        timestamp: point.timestamp,
+        settings: mergedSettings
+      };
+      this.addCursorSample(trail.clientId, updatedCursor);
+      this.otherCursors.set(trail.clientId, updatedCursor);
+      this.updateUsernameTag(trail.clientId, { ...updatedCursor, ...this.toScreen(updatedCursor) });
+      this.noteParticipantActivity(trail.clientId, point, true);
+    }
+  }
+
+  handleRemoteStrokeStart(data) {
+    const stroke = {
+      clientId: data.clientId,
+      color: data.color,
+      size: data.size,
+      glow: data.glow,
+      cursorMode: data.cursorMode,
+      username: data.username
+    };
+    this.remoteStrokes.set(this.getStrokeKey(data.clientId, data.strokeId), stroke);
+    this.drawTrail({
+      ...stroke,
+      trail: { x: data.x, y: data.y },
+      strokeId: data.strokeId,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * Rebuild absolute points from a batch of [dx, dy, dt] deltas
+   * The batch is anchored at `from` and timed so its last point lands when the server relayed it
+   */
+  handleRemoteStrokePoints(data) {
+    if (!data.from || !Array.isArray(data.points)) return;
+
+    const stroke = this.remoteStrokes.get(this.getStrokeKey(data.clientId, data.strokeId))
+      || this.userSettings.get(data.clientId)
+      || {};
+    const totalTime = data.points.reduce((sum, delta) => sum + delta[2], 0);
+    let x = data.from.x;
+    let y = data.from.y;
+    let timestamp = (typeof data.timestamp === 'number' ? data.timestamp : this.getServerTime()) - totalTime;
+
+    data.points.forEach(([dx, dy, dt]) => {
+      x += dx;
+      y += dy;
+      timestamp += dt;
+      this.drawTrail({
+        clientId: data.clientId,
+        trail: { x, y },
+        strokeId: data.strokeId,
+        color: stroke.color,
+        size: stroke.size,
+        glow: stroke.glow,
+        cursorMode: stroke.cursorMode,
+        username: stroke.username,
+        timestamp
+      });
+    });
+  }
+
+  /**
+   * Replay trail points that were drawn before we joined
+   * Points keep their original timestamps so they fade with everyone else's
+   */
+  replayRecentTrails(recentTrails) {
+    const now = this.getServerTime();
+    recentTrails.forEach((entry) => {
+      if (!entry || !entry.clientId || entry.clientId === this.clientId || !Array.isArray(entry.points)) {
+        return;
+      }
+
+      entry.points.forEach((point) => {
+        if (!point || !point.trail || now - point.timestamp >= this.trailFadeTime) {
+          return;
+        }
+        this.drawTrail({
+          trail: point.trail,
+          color: point.color,
+          clientId: entry.clientId,
+          size: point.size,
+          glow: point.glow,
+          cursorMode: point.cursorMode,
+          username: point.username,
+          strokeId: point.strokeId,
+          timestamp: point.timestamp
+        });
+      });
+    });
+  }
+
+  /**
+   * Session replay
+   * Recorded lightTrail events are fed back into allTrails with their original
+   * timestamps, and trails are rendered against a virtual replay clock so fading,
+   * pausing and speed changes all follow the session timeline.
+   */
+  openReplayPanel(sessionId = null) {
+    if (!this.replayPanel) return;
+    this.replayPanel.classList.add('visible');
+    this.fetchReplaySessions(sessionId);
+  }
+
+  // Session history needs the same token as the WebSocket when the server has auth enabled
+  getApiHeaders() {
+    return this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+  }
+
+  fetchReplaySessions(selectSessionId = null) {
+    const roomQuery = this.roomName ? `?room=${encodeURIComponent(this.roomName)}` : '';
+    fetch(`/api/sessions${roomQuery}`, { headers: this.getApiHeaders() })
+      .then((response) => response.json().then((body) => ({ ok: response.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) {
+          throw new Error(body.error || 'Unable to list sessions');
+        }
+        this.populateReplaySessions(body.sessions || [], selectSessionId);
+      })
+      .catch((error) => {
+        console.error('Unable to load replay sessions:', error);
+        this.setReplayStatus(error.message);
+      });
+  }
+
+  populateReplaySessions(sessions, selectSessionId) {
+    if (!this.replaySessionSelect) return;
+
+    this.replaySessionSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = sessions.length ? 'Choose a session' : 'No recorded sessions';
+    this.replaySessionSelect.appendChild(placeholder);
+
+    sessions.forEach((session) => {
+      const option = document.createElement('option');
+      option.value = session.sessionId;
+      option.textContent = `${new Date(session.startedAt).toLocaleString()}${session.active ? ' (live)' : ''}`;
+      this.replaySessionSelect.appendChild(option);
+    });
+
+    if (selectSessionId) {
+      this.replaySessionSelect.value = selectSessionId;
+      this.loadReplaySession(selectSessionId);
+    }
+  }
+
+  /**
+   * The server hands out a session one part file at a time. Playback keeps only the part it is
+   * reading and the next one loaded, and takes a snapshot of the replay state every
+   * replaySnapshotInterval so seeking replays a few seconds of events instead of the whole session
+   */
+  loadReplaySession(sessionId) {
+    this.setReplayStatus('Loading...');
+    this.fetchReplayPart(sessionId, 0)
+      .then((body) => this.startReplay(sessionId, body))
+      .catch((error) => {
+        console.error('Unable to load replay session:', error);
+        this.setReplayStatus(error.message);
+      });
+  }
+
+  fetchReplayPart(sessionId, part) {
+    const room = encodeURIComponent(this.roomName || 'lobby');
+    return fetch(`/api/sessions/${room}/${encodeURIComponent(sessionId)}?part=${part}`, {
+      headers: this.getApiHeaders()
+    })
+      .then((response) => response.json().then((body) => ({ ok: response.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) {
+          throw new Error(body.error || 'Unable to load session');
+        }
+        return body;
+      });
+  }
+
+  filterReplayEvents(events) {
+    return events
+      .filter((event) => event && typeof event.timestamp === 'number'
+        && (event.type === 'clear'
+          || event.type === 'undoStroke'
+          || event.type === 'redoStroke'
+          || (event.type === 'lightTrail' && event.trail)))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  startReplay(sessionId, firstPart) {
+    const events = this.filterReplayEvents(firstPart.events || []);
+    const partCount = firstPart.parts || 1;
+    if (events.length === 0 && partCount <= 1) {
+      this.setReplayStatus('Session is empty');
+      return;
+    }
+
+    if (!this.replay) {
+      this.stopDrawing();
+      // Live trails and undo state wait here untouched until the replay ends
+      this.liveTrailState = { allTrails: this.allTrails, undoneStrokes: this.undoneStrokes };
+    }
+    const startTime = events.length > 0 ? events[0].timestamp : Number(sessionId);
+    const endTime = Math.max(events.length > 0 ? events[events.length - 1].timestamp : startTime,
+      firstPart.sessionEndedAt || 0);
+    this.replay = {
+      sessionId,
+      startTime,
+      // Leave room for the final strokes to fade out
+      duration: endTime - startTime + this.trailFadeTime,
+      position: 0,
+      partCount,
+      parts: new Map([[0, events]]), // Loaded parts: index -> sorted events
+      pendingParts: new Set(),
+      cursor: { part: 0, index: 0 }, // Next event to apply
+      appliedTime: startTime,
+      // Replay state before the event at `cursor`; the first one is the empty canvas
+      snapshots: [{ time: startTime, cursor: { part: 0, index: 0 }, trails: new Map(), undone: new Map() }],
+      blocked: false, // Waiting for a part to load
+      speed: this.replay ? this.replay.speed : 1,
+      playing: true,
+      scrubbing: false
+    };
+
+    if (this.replayScrubber) {
+      this.replayScrubber.max = this.replay.duration;
+      this.replayScrubber.step = 10;
+    }
+    document.body.classList.add('replay-active');
+    this.restoreReplaySnapshot(this.replay.snapshots[0]);
+    this.updateReplayUI();
+  }
+
+  loadReplayPart(part) {
+    const replay = this.replay;
+    if (!replay || part >= replay.partCount || replay.parts.has(part) || replay.pendingParts.has(part)) return;
+
+    replay.pendingParts.add(part);
+    this.fetchReplayPart(replay.sessionId, part)
+      .then((body) => {
+        if (this.replay !== replay) return;
+        replay.pendingParts.delete(part);
+        replay.parts.set(part, this.filterReplayEvents(body.events || []));
+        if (replay.blocked) {
+          replay.blocked = false;
+          this.applyReplayUntil(replay.appliedTime);
+          this.updateReplayUI();
+        }
+      })
+      .catch((error) => {
+        replay.pendingParts.delete(part);
+        console.error(`Unable to load replay part ${part}:`, error);
+        if (this.replay === replay) {
+          this.setReplayStatus(error.message);
+        }
+      });
+  }
+
+  // Drop parts playback has moved past; snapshots know where to reload them from
+  releaseReplayParts() {
+    const replay = this.replay;
+    replay.parts.forEach((events, part) => {
+      if (part < replay.cursor.part || part > replay.cursor.part + 1) {
+        replay.parts.delete(part);
+      }
+    });
+  }
+
+  /**
+   * Apply events up to `replayTime` from the cursor on. Returns false when the next part
+   * is still loading; loadReplayPart picks up where this left off
+   */
+  applyReplayUntil(replayTime) {
+    const replay = this.replay;
+    replay.appliedTime = replayTime;
+    this.loadReplayPart(replay.cursor.part + 1);
+
+    for (;;) {
+      const events = replay.parts.get(replay.cursor.part);
+      if (!events) {
+        replay.blocked = true;
+        this.loadReplayPart(replay.cursor.part);
+        return false;
+      }
+      if (replay.cursor.index >= events.length) {
+        if (replay.cursor.part + 1 >= replay.partCount) return true;
+        replay.cursor = { part: replay.cursor.part + 1, index: 0 };
+        this.releaseReplayParts();
+        this.loadReplayPart(replay.cursor.part + 1);
+        continue;
+      }
+
+      const event = events[replay.cursor.index];
+      if (event.timestamp > replayTime) return true;
+      const lastSnapshot = replay.snapshots[replay.snapshots.length - 1];
+      if (event.timestamp - lastSnapshot.time >= this.replaySnapshotInterval) {
+        this.takeReplaySnapshot(event.timestamp);
+      }
+      this.applyReplayEvent(event);
+      replay.cursor.index++;
+    }
+  }
+
+  // Faded points can't come back, so snapshots only keep what is still visible
+  takeReplaySnapshot(time) {
+    const replay = this.replay;
+    const trails = new Map();
+    this.allTrails.forEach((points, clientId) => {
+      trails.set(clientId, points.filter((point) => time - point.timestamp < this.trailFadeTime));
+    });
+    this.pruneUndoneStrokes(time);
+    replay.snapshots.push({ time, cursor: { ...replay.cursor }, trails, undone: new Map(this.undoneStrokes) });
+  }
+
+  restoreReplaySnapshot(snapshot) {
+    const replay = this.replay;
+    this.allTrails = new Map();
+    snapshot.trails.forEach((points, clientId) => this.allTrails.set(clientId, points.slice()));
+    this.undoneStrokes = new Map(snapshot.undone);
+    replay.cursor = { ...snapshot.cursor };
+    replay.appliedTime = snapshot.time;
+    this.releaseReplayParts();
+  }
+
+  applyReplayEvent(event) {
+    if (event.type === 'clear') {
+      if (event.scope === 'own') {
+        this.allTrails.delete(event.clientId);
+      } else {
+        this.allTrails.clear();
+      }
+      return;
+    }
+    if (event.type === 'undoStroke') {
+      this.removeStroke(event.clientId, event.strokeId, event.timestamp);
+      return;
+    }
+    if (event.type === 'redoStroke') {
+      this.restoreStroke(event.clientId, event.strokeId, event.timestamp);
+      return;
+    }
+
+    const settings = event.settings || {};
+    if (!this.allTrails.has(event.clientId)) {
+      this.allTrails.set(event.clientId, []);
+    }
+    const trailArray = this.allTrails.get(event.clientId);
+    trailArray.push({
+      x: event.trail.x,
+      y: event.trail.y,
+      color: settings.color || '#ffffff',
+      size: this.clamp(event.trail.size ?? settings.size ?? 1, 0.5, 3),
+      glow: this.clamp(event.trail.glow ?? settings.glow ?? 1, 0.5, 3),
+      strokeId: event.strokeId || null,
+      timestamp: event.timestamp
+    });
+    if (trailArray.length > 500) {
+      trailArray.shift();
+    }
+  }
+
+  seekReplay(position) {
+    const replay = this.replay;
+    if (!replay) return;
+
+    replay.position = this.clamp(position, 0, replay.duration);
+    const replayTime = replay.startTime + replay.position;
+
+    // Carry on from the current state when seeking forward past the nearest snapshot,
+    // otherwise rewind to that snapshot
+    let snapshot = replay.snapshots[0];
+    for (let i = replay.snapshots.length - 1; i > 0; i--) {
+      if (replay.snapshots[i].time <= replayTime) {
+        snapshot = replay.snapshots[i];
+        break;
+      }
+    }
+    if (replayTime < replay.appliedTime || replay.appliedTime < snapshot.time) {
+      this.restoreReplaySnapshot(snapshot);
+    }
+    replay.blocked = false;
+    this.applyReplayUntil(replayTime);
+    this.updateReplayUI();
+  }
+
+  advanceReplay(elapsed) {
+    const replay = this.replay;
+    if (!replay || !replay.playing || replay.scrubbing || replay.blocked) return;
+
+    replay.position = Math.min(replay.duration, replay.position + elapsed * replay.speed);
+    this.applyReplayUntil(replay.startTime + replay.position);
+
+    if (replay.position >= replay.duration) {
+      replay.playing = false;
+    }
+    this.updateReplayUI();
+  }
+
+  toggleReplayPlayback() {
+    const replay = this.replay;
+    if (!replay) return;
+
+    if (!replay.playing && replay.position >= replay.duration) {
+      this.seekReplay(0);
+    }
+    replay.playing = !replay.playing;
+    this.updateReplayUI();
+  }
+
+  setReplaySpeed(speed) {
+    if (!this.replay || !Number.isFinite(speed)) return;
+    this.replay.speed = this.clamp(speed, 0.25, 8);
+  }
+
+  exitReplay() {
+    this.replay = null;
+    if (this.liveTrailState) {
+      this.allTrails = this.liveTrailState.allTrails;
+      this.undoneStrokes = this.liveTrailState.undoneStrokes;
+      this.liveTrailState = null;
+    }
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    document.body.classList.remove('replay-active');
+    if (this.replayPanel) {
+      this.replayPanel.classList.remove('visible');
+    }
+    if (this.replaySessionSelect) {
+      this.replaySessionSelect.value = '';
+    }
+    this.setReplayStatus('');
+  }
+
+  updateReplayUI() {
+    const replay = this.replay;
+    if (!replay) return;
+
+    if (this.replayScrubber && !replay.scrubbing) {
+      this.replayScrubber.value = replay.position;
+    }
+    if (this.replayPlayBtn) {
+      this.replayPlayBtn.textContent = replay.playing ? 'Pause' : 'Play';
+    }
+    const loading = replay.blocked ? ' · Loading...' : '';
+    this.setReplayStatus(`${this.formatReplayTime(replay.position)} / ${this.formatReplayTime(replay.duration)}${loading}`);
+  }
+
+  setReplayStatus(text) {
+    if (this.replayTimeLabel) {
+      this.replayTimeLabel.textContent = text;
+    }
+  }
+
+  formatReplayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Export the current trails as a PNG
+   * Trails are re-rendered with drawSmoothTrail onto an offscreen canvas so the
+   * glow layers survive at any resolution multiplier.
+   */
+  exportPng({ scale = 1, background = 'starfield', includeTags = true } = {}) {
+    const exportScale = this.clamp(scale, 1, 4);
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.round(width * exportScale);
+    exportCanvas.height = Math.round(height * exportScale);
+    const ctx = exportCanvas.getContext('2d');
+    ctx.scale(exportScale, exportScale);
+
+    if (background === 'starfield') {
+      this.drawExportStarfield(ctx, width, height);
+    }
+
+    const now = this.getTrailClock();
+    this.allTrails.forEach((points, clientId) => {
+      const visiblePoints = points.filter((point) => now - point.timestamp < this.trailFadeTime);
+      if (visiblePoints.length > 0) {
+        this.drawSmoothTrail(this.projectPoints(visiblePoints), now, clientId, ctx);
+      }
+    });
+
+    if (includeTags) {
+      this.drawExportUsernameTags(ctx);
+    }
+
+    exportCanvas.toBlob((blob) => {
+      if (!blob) {
+        console.error('Unable to export canvas as PNG');
+        return;
+      }
+      this.downloadBlob(blob, `${this.getExportBaseName()}.png`);
+    }, 'image/png');
+  }
+
+  /**
+   * Export the current trails as SVG paths
+   * Each run of points becomes a smoothed path with a pastel-to-neon gradient
+   * stroke and a blur filter approximating the canvas glow.
+   */
+  exportSvg({ background = 'starfield' } = {}) {
+    const svg = this.buildSvgExport({ background });
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    this.downloadBlob(blob, `${this.getExportBaseName()}.svg`);
+  }
+
+  buildSvgExport({ background = 'starfield' } = {}) {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const now = this.getTrailClock();
+    const defs = [];
+    const layers = [];
+    let pathIndex = 0;
+
+    if (background === 'starfield') {
+      defs.push(
+        '<linearGradient id="background" x1="0" y1="0" x2="1" y2="1">'
+        + '<stop offset="0" stop-color="#0a081a"/><stop offset="0.55" stop-color="#1a1034"/><stop offset="1" stop-color="#2a1846"/>'
+        + '</linearGradient>'
+      );
+      const stars = [];
+      const starCount = Math.round((width * height) / 6000);
+      for (let i = 0; i < starCount; i++) {
+        stars.push(`<circle cx="${(Math.random() * width).toFixed(1)}" cy="${(Math.random() * height).toFixed(1)}" r="${(0.3 + Math.random() * 1.1).toFixed(2)}" fill="#ffffff" fill-opacity="${(0.25 + Math.random() * 0.6).toFixed(2)}"/>`);
+      }
+      layers.push(`<g id="starfield"><rect width="${width}" height="${height}" fill="url(#background)"/>${stars.join('')}</g>`);
+    }
+
+    this.allTrails.forEach((points, clientId) => {
+      // Exports capture the current view
+      const visiblePoints = this.projectPoints(points.filter((point) => now - point.timestamp < this.trailFadeTime));
+      const paths = [];
+
+      this.splitTrailRuns(visiblePoints).forEach((run) => {
+        const first = run[0];
+        const last = run[run.length - 1];
+        const size = run.reduce((sum, point) => sum + this.clamp(point.size ?? 1, 0.5, 3), 0) / run.length;
+        const glow = run.reduce((sum, point) => sum + this.clamp(point.glow ?? 1, 0.5, 3), 0) / run.length;
+        const gradientColors = this.getGradientColors(first.color);
+        const shimmer = this.getShimmerPalette(first.color, 0, now);
+        const id = pathIndex++;
+
+        defs.push(
+          `<linearGradient id="trail-gradient-${id}" gradientUnits="userSpaceOnUse" x1="${first.x}" y1="${first.y}" x2="${last.x}" y2="${last.y === first.y && last.x === first.x ? last.y + 1 : last.y}">`
+          + `<stop offset="0" stop-color="${this.toSvgColor(gradientColors.pastel)}"/>`
+          + `<stop offset="0.5" stop-color="${shimmer.mid}"/>`
+          + `<stop offset="1" stop-color="${this.toSvgColor(gradientColors.neon)}"/>`
+          + '</linearGradient>'
+        );
+        defs.push(
+          `<filter id="trail-glow-${id}" x="-50%" y="-50%" width="200%" height="200%">`
+          + `<feGaussianBlur in="SourceGraphic" stdDeviation="${(3 + glow * 4).toFixed(1)}" result="blur"/>`
+          + '<feMerge><feMergeNode in="blur"/><feMergeNode in="blur"/><feMergeNode in="SourceGraphic"/></feMerge>'
+          + '</filter>'
+        );
+
+        const strokeWidth = (5 * (0.8 + size * 0.55)).toFixed(2);
+        paths.push(`<path d="${this.buildSmoothPath(run)}" fill="none" stroke="url(#trail-gradient-${id})" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" filter="url(#trail-glow-${id})"/>`);
+      });
+
+      if (paths.length > 0) {
+        const settings = this.userSettings.get(clientId) || {};
+        const label = clientId === this.clientId ? this.username : (settings.username || this.getFallbackUsername(clientId));
+        layers.push(`<g id="${this.escapeXml(`trail-${clientId}`)}" data-username="${this.escapeXml(label || '')}">${paths.join('')}</g>`);
+      }
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<defs>${defs.join('')}</defs>`,
+      ...layers,
+      '</svg>'
+    ].join('\n');
+  }
+
+  // Split a trail into continuous runs wherever there is a pause between points
+  splitTrailRuns(points, maxGap = 300) {
+    const runs = [];
+    let current = [];
+    points.forEach((point) => {
+      const previous = current[current.length - 1];
+      const strokeChanged = previous && (previous.strokeId || null) !== (point.strokeId || null);
+      if (previous && (strokeChanged || point.timestamp - previous.timestamp > maxGap)) {
+        runs.push(current);
+        current = [];
+      }
+      current.push(point);
+    });
+    if (current.length > 0) {
+      runs.push(current);
+    }
+    return runs;
+  }
+
+  // Quadratic curves through segment midpoints give a smooth path through the samples
+  buildSmoothPath(points) {
+    const format = (value) => Number(value).toFixed(1);
+    if (points.length === 1) {
+      const point = points[0];
+      return `M${format(point.x)} ${format(point.y)} L${format(point.x + 0.1)} ${format(point.y)}`;
+    }
+
+    let d = `M${format(points[0].x)} ${format(points[0].y)}`;
+    for (let i = 1; i < points.length - 1; i++) {
+      const point = points[i];
+      const next = points[i + 1];
+      d += ` Q${format(point.x)} ${format(point.y)} ${format((point.x + next.x) / 2)} ${format((point.y + next.y) / 2)}`;
+    }
+    const last = points[points.length - 1];
+    d += ` L${format(last.x)} ${format(last.y)}`;
+    return d;
+  }
+
+  // getGradientColors can yield fractional rgb() channels; SVG tools expect plain hex
+  toSvgColor(color) {
+    if (color.startsWith('#')) return color;
+    const channels = (color.match(/[\d.]+/g) || []).slice(0, 3).map((value) => Math.round(Number(value)));
+    if (channels.length < 3) return '#ffffff';
+    return `#${channels.map((value) => this.componentToHex(Math.min(255, value))).join('')}`;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Clip capture
+   * Frames are composited at a reduced size and kept as compressed blobs for the
+   * last captureMaxSeconds. Shooting stars and sparkles live in DOM layers, so
+   * they are tracked separately and re-drawn into each captured frame.
+   * Nothing is buffered until the user arms capture with the Buffer toggle.
+   */
+  setCaptureArmed(armed) {
+    this.captureArmed = armed && this.captureSupported;
+    if (!this.captureArmed) {
+      // Free the buffered frames; the next clip starts from when capture is armed again
+      this.captureFrames = [];
+      this.captureEffects = [];
+    }
+    // A clip already encoding has its own copy of the frames and updates the button when done
+    if (!this.isEncodingClip) {
+      this.updateCaptureButton(null);
+    }
+  }
+
+  trackCaptureEffect(effect) {
+    if (!this.captureArmed) return;
+    this.captureEffects.push({ ...effect, startedAt: performance.now() });
+  }
+
+  bufferCaptureFrame() {
+    if (!this.captureArmed || this.isEncodingClip || this.captureFramePending || document.hidden) return;
+
+    const now = performance.now();
+    if (now - this.lastCaptureFrameAt < 1000 / this.captureFps) return;
+    this.lastCaptureFrameAt = now;
+
+    if (!this.captureCanvas) {
+      this.captureCanvas = document.createElement('canvas');
+      this.captureCtx = this.captureCanvas.getContext('2d');
+    }
+
+    const scale = Math.min(1, this.captureMaxWidth / this.canvas.width);
+    const width = Math.max(1, Math.round(this.canvas.width * scale));
+    const height = Math.max(1, Math.round(this.canvas.height * scale));
+    if (this.captureCanvas.width !== width || this.captureCanvas.height !== height) {
+      this.captureCanvas.width = width;
+      this.captureCanvas.height = height;
+    }
+
+    const ctx = this.captureCtx;
+    ctx.save();
+    ctx.fillStyle = '#0a081a';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(this.canvas, 0, 0, width, height);
+    ctx.drawImage(this.skyCanvas, 0, 0, width, height);
+    ctx.drawImage(this.cursorCanvas, 0, 0, width, height);
+    ctx.scale(scale, scale);
+    this.drawCaptureEffects(ctx, now);
+    ctx.restore();
+
+    this.captureFramePending = true;
+    this.captureCanvas.toBlob((blob) => {
+      this.captureFramePending = false;
+      if (!blob || !this.captureArmed) return;
+      this.captureFrames.push({ blob, time: now, width, height });
+      const cutoff = now - this.captureMaxSeconds * 1000;
+      while (this.captureFrames.length > 0 && this.captureFrames[0].time < cutoff) {
+        this.captureFrames.shift();
+      }
+    }, 'image/webp', 0.82);
+  }
+
+  drawCaptureEffects(ctx, now) {
+    this.captureEffects = this.captureEffects.filter((effect) => now - effect.startedAt < effect.duration);
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    this.captureEffects.forEach((effect) => {
+      const progress = (now - effect.startedAt) / effect.duration;
+      if (effect.type === 'shootingStar') {
+        // Mirrors the ease-in-out travel and opacity keyframes of .shooting-star
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        const opacity = progress < 0.1 ? progress / 0.1 * 0.85 : progress < 0.55 ? 0.85 + (progress - 0.1) / 0.45 * 0.1 : 0.95 * (1 - (progress - 0.55) / 0.45);
+        const x = effect.startX + effect.travelX * eased;
+        const y = effect.startY + effect.travelY * eased;
+        const radians = effect.angle * Math.PI / 180;
+        const tailX = x - Math.cos(radians) * 160;
+        const tailY = y - Math.sin(radians) * 160;
+        const gradient = ctx.createLinearGradient(tailX, tailY, x, y);
+        gradient.addColorStop(0, this.hexToRgba(effect.palette.start, 0));
+        gradient.addColorStop(0.4, this.hexToRgba(effect.palette.mid, 0.8 * opacity));
+        gradient.addColorStop(0.7, this.hexToRgba(effect.palette.end, 0.65 * opacity));
+        gradient.addColorStop(1, `rgba(255, 255, 255, ${0.75 * opacity})`);
+        ctx.beginPath();
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.shadowBlur = 16;
+        ctx.shadowColor = this.hexToRgba(effect.palette.mid, 0.5 * opacity);
+        ctx.moveTo(tailX, tailY);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+      } else if (effect.type === 'sparkle') {
+        const opacity = progress < 0.3 ? progress / 0.3 : 1 - (progress - 0.3) / 0.7;
+        const radius = 40 * (0.4 + progress * 0.8);
+        [effect.paletteA, effect.paletteB].forEach((palette, index) => {
+          const gradient = ctx.createRadialGradient(effect.x, effect.y, 0, effect.x, effect.y, radius * (index ? 0.7 : 1));
+          gradient.addColorStop(0, this.hexToRgba(palette.mid, 0.55 * opacity));
+          gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+          ctx.fillStyle = gradient;
+          ctx.beginPath();
+          ctx.arc(effect.x, effect.y, radius, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+    });
+    ctx.restore();
+  }
+
+  getClipMimeType() {
+    const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return candidates.find((type) => window.MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Encode the buffered frames from the last `seconds` into a WebM clip
+   * MediaRecorder records in real time, so encoding takes as long as the clip.
+   */
+  captureClip(seconds = 15) {
+    if (!this.captureArmed || this.isEncodingClip) return;
+
+    const clipSeconds = this.clamp(seconds, 10, this.captureMaxSeconds);
+    const cutoff = performance.now() - clipSeconds * 1000;
+    const frames = this.captureFrames.filter((frame) => frame.time >= cutoff);
+    if (frames.length < 2) {
+      console.warn('Not enough buffered frames to capture a clip yet');
+      return;
+    }
+
+    this.isEncodingClip = true;
+    const { width, height } = frames[frames.length - 1];
+    const playbackCanvas = document.createElement('canvas');
+    playbackCanvas.width = width;
+    playbackCanvas.height = height;
+    const playbackCtx = playbackCanvas.getContext('2d');
+    const stream = playbackCanvas.captureStream(this.captureFps);
+    const mimeType = this.getClipMimeType();
+    const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      this.isEncodingClip = false;
+      this.updateCaptureButton(null);
+      const blob = new Blob(chunks, { type: mimeType || 'video/webm' });
+      this.downloadBlob(blob, `${this.getExportBaseName()}.webm`);
+    };
+
+    const drawFrame = (index) => {
+      if (index >= frames.length) {
+        recorder.stop();
+        return;
+      }
+      createImageBitmap(frames[index].blob).then((bitmap) => {
+        playbackCtx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        this.updateCaptureButton(index / frames.length);
+        const next = frames[index + 1];
+        const delay = next ? next.time - frames[index].time : 1000 / this.captureFps;
+        window.setTimeout(() => drawFrame(index + 1), delay);
+      }).catch((error) => {
+        console.error('Unable to decode captured frame:', error);
+        drawFrame(index + 1);
+      });
+    };
+
+    recorder.start();
+    drawFrame(0);
+  }
+
+  updateCaptureButton(progress) {
+    if (!this.captureClipBtn) return;
+    this.captureClipBtn.textContent = progress === null
+      ? 'Capture Clip'
+      : `Encoding ${Math.round(progress * 100)}%`;
+    this.captureClipBtn.disabled = progress !== null || !this.captureArmed;
+  }
+
+  drawExportStarfield(ctx, width, height) {
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, '#0a081a');
+    gradient.addColorStop(0.55, '#1a1034');
+    gradient.addColorStop(1, '#2a1846');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    const starCount = Math.round((width * height) / 6000);
+    ctx.save();
+    for (let i = 0; i < starCount; i++) {
+      const x = Math.random() * width;
+      const y = Math.random() * height;
+      const radius = 0.3 + Math.random() * 1.1;
+      ctx.beginPath();
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.25 + Math.random() * 0.6})`;
+      ctx.shadowBlur = radius * 4;
+      ctx.shadowColor = 'rgba(255, 214, 232, 0.6)';
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  drawExportUsernameTags(ctx) {
+    const tags = [];
+    this.otherCursors.forEach((cursor, clientId) => {
+      const settings = cursor.settings || this.userSettings.get(clientId) || {};
+      tags.push({
+        ...this.toScreen(cursor),
+        color: cursor.color || settings.color || '#ffffff',
+        username: settings.username || cursor.username || this.getFallbackUsername(clientId),
+        offsetY: -86
+      });
+    });
+    if (this.clientId && this.lastMousePosition) {
+      tags.push({
+        x: this.lastMousePosition.x,
+        y: this.lastMousePosition.y,
+        color: this.currentColor,
+        username: this.username,
+        offsetY: -78
+      });
+    }
+
+    ctx.save();
+    ctx.font = '600 13px Quicksand, Nunito, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    tags.forEach((tag) => {
+      if (typeof tag.x !== 'number' || typeof tag.y !== 'number') return;
+      const x = tag.x;
+      const y = tag.y + tag.offsetY;
+      const palette = this.getShimmerPalette(tag.color, 0, Date.now());
+      const textWidth = ctx.measureText(tag.username).width;
+      const paddingX = 12;
+      const pillHeight = 24;
+
+      ctx.beginPath();
+      ctx.fillStyle = 'rgba(10, 8, 26, 0.55)';
+      ctx.strokeStyle = this.hexToRgba(palette.mid, 0.6);
+      ctx.lineWidth = 1;
+      ctx.shadowBlur = 14;
+      ctx.shadowColor = this.hexToRgba(palette.mid, 0.5);
+      this.traceRoundedRect(ctx, x - textWidth / 2 - paddingX, y - pillHeight / 2, textWidth + paddingX * 2, pillHeight, pillHeight / 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.shadowBlur = 6;
+      ctx.shadowColor = 'rgba(255, 214, 232, 0.6)';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+      ctx.fillText(tag.username, x, y);
+    });
+    ctx.restore();
+  }
+
+  traceRoundedRect(ctx, x, y, width, height, radius) {
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  getExportBaseName() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `lighttrails-${this.roomName || 'lobby'}-${stamp}`;
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Ask the server to clear; nothing is wiped locally until it broadcasts the outcome
+  requestClear() {
+    if (!this.canDraw() || this.isMuted() || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    if (this.clearPolicy === 'owner' && this.role !== 'owner') return;
+    this.ws.send(JSON.stringify({
+      type: 'clear'
+    }));
+  }
+
+  // Apply a server-approved clear, either the whole canvas or one participant's strokes
+  clearCanvas(clientId = null) {
+    if (clientId) {
+      this.allTrails.delete(clientId);
+      this.remoteStrokes.forEach((stroke, key) => {
+        if (stroke.clientId === clientId) this.remoteStrokes.delete(key);
+      });
+      if (clientId === this.clientId) {
+        this.lastTrailPoints = [];
+        this.strokeHistory = [];
+        this.redoStack = [];
+      }
+      this.redrawCanvas();
+      return;
+    }
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.allTrails.clear();
+    this.lastTrailPoints = [];
+    this.otherCursors.clear();
+  }
+
+  updateClearControls() {
+    const labels = { owner: 'Clear Canvas', vote: 'Vote to Clear', own: 'Clear My Strokes' };
+    if (this.clearBtn) {
+      const allowed = this.canDraw() && !this.isMuted() && (this.clearPolicy !== 'owner' || this.role === 'owner');
+      this.clearBtn.textContent = labels[this.clearPolicy] || labels.owner;
+      // Only one vote runs at a time; answer the open one from the banner instead
+      this.clearBtn.disabled = !allowed || Boolean(this.clearVote);
+      let reason = '';
+      if (!this.canDraw()) reason = 'Spectators cannot clear the canvas';
+      else if (this.isMuted()) reason = 'Your drawing is muted';
+      else if (!allowed) reason = 'Only the room owner can clear the canvas';
+      else if (this.clearVote) reason = 'A clear vote is already open';
+      this.clearBtn.title = reason;
+    }
+    if (this.clearPolicySelect) {
+      this.clearPolicySelect.value = this.clearPolicy;
+      this.clearPolicySelect.disabled = this.role !== 'owner';
+    }
+  }
 
-      const updatedCursor = {
-        x: point.x,
-        y: point.y,
-        color: mergedSettings.color,
-        size: mergedSettings.size,
-        glow: mergedSettings.glow,
-        cursorMode: mergedSettings.cursorMode,
-        username: mergedSettings.username,
-        timestamp: Date.now(),
-        settings: mergedSettings
+  // Owner only; the server rejects policy changes from anyone else
+  setClearPolicy(policy) {
+    if (this.role !== 'owner' || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      this.updateClearControls();
+      return;
+    }
+    this.ws.send(JSON.stringify({ type: 'setClearPolicy', policy }));
+  }
+
+  sendClearVote(approve) {
+    if (!this.clearVote || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ type: 'clearVote', approve }));
+  }
+
+  handleClearVote(data) {
+    clearTimeout(this.clearVoteResultTimeout);
+    if (data.status === 'open') {
+      this.clearVote = data;
+      if (!this.clearVoteTimer) {
+        this.clearVoteTimer = setInterval(() => this.updateClearVoteBanner(), 1000);
+      }
+    } else {
+      this.clearVote = null;
+      clearInterval(this.clearVoteTimer);
+      this.clearVoteTimer = null;
+      const results = {
+        passed: 'Vote passed, clearing the canvas',
+        failed: 'Vote failed, the canvas stays',
+        expired: 'Vote expired, the canvas stays',
+        cancelled: 'Vote cancelled by the room owner'
       };
-      this.otherCursors.set(trail.clientId, updatedCursor);
-      this.updateUsernameTag(trail.clientId, updatedCursor);
+      this.clearVoteResult = results[data.status] || null;
+      this.clearVoteResultTimeout = setTimeout(() => {
+        this.clearVoteResult = null;
+        this.updateClearVoteBanner();
+      }, 2500);
     }
+    this.updateClearVoteBanner();
+    this.updateClearControls();
   }
 
-  clearCanvas(sendToServer = true) {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.allTrails.clear();
-    this.lastTrailPoints = [];
-    
-    // Send clear request to server if not already from server
-    if (sendToServer && this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'clear'
-      }));
+  updateClearVoteBanner() {
+    if (!this.clearVoteBanner) return;
+    const vote = this.clearVote;
+    if (!vote && !this.clearVoteResult) {
+      this.clearVoteBanner.classList.remove('visible');
+      return;
+    }
+    let text = this.clearVoteResult;
+    let canVote = false;
+    if (vote) {
+      const name = vote.initiatorId === this.clientId
+        ? 'You'
+        : ((this.userSettings.get(vote.initiatorId) || {}).username || this.getFallbackUsername(vote.initiatorId));
+      const secondsLeft = Math.max(0, Math.ceil((vote.expiresAt - this.getServerTime()) / 1000));
+      text = `${name} ${name === 'You' ? 'want' : 'wants'} to clear the canvas · ${vote.approvals}/${vote.needed} votes · ${secondsLeft}s`;
+      canVote = !(vote.voters || []).includes(this.clientId);
     }
+    this.clearVoteText.textContent = text;
+    if (this.clearVoteApproveBtn) this.clearVoteApproveBtn.hidden = !canVote;
+    if (this.clearVoteRejectBtn) this.clearVoteRejectBtn.hidden = !canVote;
+    this.clearVoteBanner.classList.add('visible');
   }
 
   redrawCanvas() {
@@ -941,17 +3126,32 @@ class LightTrailsClient {
   }
 
   startAnimationLoop() {
-    const animate = () => {
+    const animate = (frameTime) => {
+      const elapsed = this.lastFrameTime !== null && typeof frameTime === 'number'
+        ? frameTime - this.lastFrameTime
+        : 0;
+      this.lastFrameTime = typeof frameTime === 'number' ? frameTime : null;
+      this.advanceReplay(elapsed);
+
       // Continuously render trails and cursors
       this.renderAllTrails();
+      this.renderSkyEvents();
       this.renderCursors();
+      this.renderMinimap();
+      this.updateParticipantsPanel();
+      this.bufferCaptureFrame();
       requestAnimationFrame(animate);
     };
     animate();
   }
 
+  // Replays render against the session timeline instead of the server clock
+  getTrailClock() {
+    return this.replay ? this.replay.startTime + this.replay.position : this.getServerTime();
+  }
+
   renderAllTrails() {
-    const now = Date.now();
+    const now = this.getTrailClock();
     
     // Draw dark background with normal blend mode
     this.ctx.save();
@@ -981,7 +3181,7 @@ class LightTrailsClient {
         // Update trail with only active points
         this.allTrails.set(clientId, activePoints);
         
-        const lastSegment = this.drawSmoothTrail(activePoints, now, clientId);
+        const lastSegment = this.drawSmoothTrail(this.projectPoints(activePoints), now, clientId);
         if (lastSegment) {
           this.checkForCollisions(clientId, lastSegment);
         }
@@ -994,10 +3194,11 @@ class LightTrailsClient {
     });
   }
 
-  drawSmoothTrail(points, currentTime, clientId) {
+  drawSmoothTrail(points, currentTime, clientId, ctx = this.ctx) {
     if (points.length === 0) return;
+    // Points arrive projected to screen space; widths and glow follow the zoom the same way
+    const viewScale = this.view ? this.view.scale : 1;
     
-    const ctx = this.ctx;
     ctx.save();
     
     // Enable blending mode for smooth color mixing when trails cross
@@ -1008,6 +3209,8 @@ class LightTrailsClient {
     for (let i = 0; i < points.length - 1; i++) {
       const point = points[i];
       const nextPoint = points[i + 1];
+      // Never bridge the gap between two separate strokes
+      if ((point.strokeId || null) !== (nextPoint.strokeId || null)) continue;
       
       // Calculate fade based on age (smooth fade curve)
       const age = currentTime - point.timestamp;
@@ -1032,8 +3235,8 @@ class LightTrailsClient {
       // Draw multiple glow layers for soft glow effect
       for (let layer = this.glowLayers; layer >= 1; layer--) {
         const layerAlpha = adjustedAlpha * (0.3 / layer);
-        const layerWidth = (2 + (alpha * 3)) * (1 + layer * 0.28) * (0.8 + sizeAverage * 0.55);
-        const glowBlur = this.baseGlowRadius * layer * alpha * (0.6 + glowAverage * 0.6);
+        const layerWidth = (2 + (alpha * 3)) * (1 + layer * 0.28) * (0.8 + sizeAverage * 0.55) * viewScale;
+        const glowBlur = this.baseGlowRadius * layer * alpha * (0.6 + glowAverage * 0.6) * viewScale;
         
         // Create gradient for smooth color blending
         const gradient = ctx.createLinearGradient(
@@ -1122,8 +3325,8 @@ class LightTrailsClient {
         // Draw multiple glow layers for soft dot effect
         for (let layer = this.glowLayers; layer >= 1; layer--) {
           const layerAlpha = dynamicAlpha * (0.4 / layer);
-          const radius = (3 + (alpha * 4)) * (0.85 + sizeFactor * 0.55) * (1 + layer * 0.32);
-          const glowBlur = this.baseGlowRadius * layer * alpha * 0.6 * (0.8 + glowFactor * 0.5);
+          const radius = (3 + (alpha * 4)) * (0.85 + sizeFactor * 0.55) * (1 + layer * 0.32) * viewScale;
+          const glowBlur = this.baseGlowRadius * layer * alpha * 0.6 * (0.8 + glowFactor * 0.5) * viewScale;
           
           // Create radial gradient for soft glow
           const radialGradient = ctx.createRadialGradient(
@@ -1215,8 +3418,69 @@ class LightTrailsClient {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
+  // Buffer the new position behind the cursor's earlier ones (timestamps are server time)
+  addCursorSample(clientId, cursor) {
+    const samples = (this.otherCursors.get(clientId)?.samples || [])
+      .filter((sample) => sample.t <= cursor.timestamp);
+    samples.push({ x: cursor.x, y: cursor.y, t: cursor.timestamp });
+    if (samples.length > this.cursorSampleLimit) {
+      samples.shift();
+    }
+    cursor.samples = samples;
+  }
+
+  /**
+   * Where to draw a remote cursor at `now`: interpolated between the two samples around
+   * now - cursorRenderDelay, or dead-reckoned past the newest one for a short while
+   */
+  getCursorRenderPosition(cursor, now) {
+    const samples = cursor.samples;
+    if (!samples || samples.length === 0) return cursor;
+
+    const renderTime = now - this.cursorRenderDelay;
+    const last = samples[samples.length - 1];
+    if (renderTime >= last.t) {
+      const previous = samples[samples.length - 2];
+      if (!this.cursorExtrapolation || !previous || last.t <= previous.t) return last;
+      const ahead = Math.min(renderTime - last.t, this.cursorMaxExtrapolation);
+      const elapsed = last.t - previous.t;
+      return {
+        x: last.x + (last.x - previous.x) * (ahead / elapsed),
+        y: last.y + (last.y - previous.y) * (ahead / elapsed)
+      };
+    }
+
+    for (let i = samples.length - 1; i > 0; i--) {
+      const from = samples[i - 1];
+      const to = samples[i];
+      if (renderTime >= from.t) {
+        const t = to.t > from.t ? (renderTime - from.t) / (to.t - from.t) : 1;
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+      }
+    }
+    return samples[0];
+  }
+
+  /**
+   * Once a remote point's successor arrives, ease it towards the midpoint of its neighbours.
+   * Stroke ends are never moved, so trails still start and finish where they were drawn
+   */
+  smoothRemoteTrail(trailArray, point) {
+    if (this.remoteTrailSmoothing <= 0 || trailArray.length < 2) return;
+    const previous = trailArray[trailArray.length - 1];
+    const before = trailArray[trailArray.length - 2];
+    if (previous.strokeId !== point.strokeId || before.strokeId !== point.strokeId) return;
+
+    // Neighbours are read at their received positions so smoothing doesn't compound
+    const raw = previous.raw || { x: previous.x, y: previous.y };
+    const beforeRaw = before.raw || before;
+    previous.raw = raw;
+    previous.x = raw.x + ((beforeRaw.x + point.x) / 2 - raw.x) * this.remoteTrailSmoothing;
+    previous.y = raw.y + ((beforeRaw.y + point.y) / 2 - raw.y) * this.remoteTrailSmoothing;
+  }
+
   renderCursors() {
-    const now = Date.now();
+    const now = this.getServerTime();
     const cursorTimeout = 2200; // Remove cursors older than ~2s
     
     this.cursorCtx.clearRect(0, 0, this.cursorCanvas.width, this.cursorCanvas.height);
@@ -1234,10 +3498,11 @@ class LightTrailsClient {
       const glow = this.clamp(settings.glow ?? cursor.glow ?? 1, 0.5, 3);
       const cursorMode = settings.cursorMode || cursor.cursorMode || 'halo';
       const username = settings.username || cursor.username || this.getFallbackUsername(clientId);
+      const position = this.toScreen(this.getCursorRenderPosition(cursor, now));
 
       this.drawCursor({
-        x: cursor.x,
-        y: cursor.y,
+        x: position.x,
+        y: position.y,
         color,
         size,
         glow,
@@ -1245,8 +3510,8 @@ class LightTrailsClient {
       });
 
       this.updateUsernameTag(clientId, {
-        x: cursor.x,
-        y: cursor.y,
+        x: position.x,
+        y: position.y,
         color,
         size,
         glow,
@@ -1255,12 +3520,15 @@ class LightTrailsClient {
       });
     });
 
+    // Idle users lose their cursor but stay in userSettings (and the participants panel) until they leave
     staleClients.forEach((clientId) => {
       this.otherCursors.delete(clientId);
       this.removeUsernameTag(clientId);
-      this.userSettings.delete(clientId);
     });
 
+    this.drawSpotlight(now);
+    this.drawFollowOverlay(now);
+
     if (this.clientId && this.lastMousePosition) {
       this.updateUsernameTag(this.clientId, {
         x: this.lastMousePosition.x,
@@ -1386,11 +3654,19 @@ class LightTrailsClient {
    */
   connect() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const params = new URLSearchParams();
+    if (this.roomName) params.set('room', this.roomName);
+    if (this.authToken) params.set('token', this.authToken);
+    if (this.requestedRole) params.set('role', this.requestedRole);
+    const query = params.toString();
+    const wsUrl = `${protocol}//${window.location.host}/${query ? `?${query}` : ''}`;
     
     // Create WebSocket connection
-    console.log('Connecting to WebSocket server at', wsUrl);
+    console.log('Connecting to WebSocket server', this.roomName ? `(room: ${this.roomName})` : '');
     this.ws = new WebSocket(wsUrl);
+    this.ws.binaryType = 'arraybuffer';
+    // Every connection starts in JSON until the server acknowledges binary
+    this.wireFormat = 'json';
 
     this.ws.onopen = () => {
       console.log('Connected to WebSocket server');
@@ -1403,6 +3679,13 @@ class LightTrailsClient {
 
     this.ws.onmessage = (event) => {
       try {
+        if (event.data instanceof ArrayBuffer) {
+          const decoded = this.decodeBinaryMessage(event.data);
+          if (decoded) {
+            this.handleMessage(decoded);
+          }
+          return;
+        }
         const data = JSON.parse(event.data);
         this.handleMessage(data);
       } catch (error) {
@@ -1419,24 +3702,173 @@ class LightTrailsClient {
       console.log('Disconnected from WebSocket server', event.code, event.reason);
       this.updateStatus(false);
       this.stopHeartbeat();
+
+      // The server refused us. A bad token is dropped and we retry anonymously, which works
+      // unless the server requires auth; without a token a refusal means sign-in is required
+      if (event.code === 4401) {
+        const hadToken = Boolean(this.authToken);
+        this.handleAuthFailure(event.reason);
+        if (hadToken) {
+          console.log('Reconnecting without a token...');
+          this.connect();
+        }
+        return;
+      }
+      // Banned: every reconnect would be refused
+      if (event.code === 4403) {
+        this.showModerationStatus(this.moderationMessage || 'Banned');
+        return;
+      }
       
       // Attempt to reconnect after 3 seconds (unless it was a normal closure)
+      // Back off longer when the server closed us for a policy violation or a moderator kicked us
       if (event.code !== 1000) {
+        let reconnectDelay = event.code === 1008 ? 15000 : 3000;
+        if (event.code === 4400) {
+          reconnectDelay = 30000;
+          this.showModerationStatus(this.moderationMessage || 'Removed by a moderator');
+        }
+        this.moderationMessage = null;
         setTimeout(() => {
           console.log('Attempting to reconnect...');
           this.connect();
-        }, 3000);
+        }, reconnectDelay);
       }
     };
   }
 
-  startHeartbeat() {
-    // Send ping every 25 seconds to keep connection alive
-    this.heartbeatInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({ type: 'ping' }));
+  /**
+   * Binary frames mirror the server's layouts (see encodeBinaryMessage in server.js):
+   * little-endian, coordinates scaled by binaryCoordinateScale, strokeId as u8 length + ASCII.
+   * Server frames add a u32 time after the wireId: ms since binaryTimeBase, modulo 2^32
+   */
+  encodeBinaryMousePosition(coords, viewState = null) {
+    const frame = new DataView(new ArrayBuffer(viewState ? 23 : 9));
+    frame.setUint8(0, 1);
+    frame.setInt32(1, Math.round(coords.x * this.binaryCoordinateScale), true);
+    frame.setInt32(5, Math.round(coords.y * this.binaryCoordinateScale), true);
+    if (viewState) {
+      // View block: x i32, y i32, zoom u16 (x1000), width u16, height u16
+      frame.setInt32(9, Math.round(viewState.x * this.binaryCoordinateScale), true);
+      frame.setInt32(13, Math.round(viewState.y * this.binaryCoordinateScale), true);
+      frame.setUint16(17, Math.min(0xffff, Math.round(viewState.zoom * 1000)), true);
+      frame.setUint16(19, Math.min(0xffff, Math.round(viewState.width)), true);
+      frame.setUint16(21, Math.min(0xffff, Math.round(viewState.height)), true);
+    }
+    return frame.buffer;
+  }
+
+  // Returns null when a delta does not fit in int16 so the caller can fall back to JSON
+  encodeBinaryStrokePoints(strokeId, points) {
+    const scale = this.binaryCoordinateScale;
+    const deltas = points.map(([dx, dy, dt]) => [Math.round(dx * scale), Math.round(dy * scale), dt]);
+    if (!strokeId || deltas.some(([dx, dy]) => Math.abs(dx) > 0x7fff || Math.abs(dy) > 0x7fff)) {
+      return null;
+    }
+
+    const view = new DataView(new ArrayBuffer(3 + strokeId.length + deltas.length * 6));
+    view.setUint8(0, 3);
+    view.setUint8(1, strokeId.length);
+    for (let i = 0; i < strokeId.length; i++) {
+      view.setUint8(2 + i, strokeId.charCodeAt(i));
+    }
+    let offset = 2 + strokeId.length;
+    view.setUint8(offset, deltas.length);
+    offset += 1;
+    deltas.forEach(([dx, dy, dt]) => {
+      view.setInt16(offset, dx, true);
+      view.setInt16(offset + 2, dy, true);
+      view.setUint16(offset + 4, dt, true);
+      offset += 6;
+    });
+    return view.buffer;
+  }
+
+  // Turn a server frame back into the JSON message it stands for; null if unknown or malformed
+  decodeBinaryMessage(buffer) {
+    try {
+      const view = new DataView(buffer);
+      const scale = this.binaryCoordinateScale;
+      const opcode = view.getUint8(0);
+      const clientId = this.wireClientIds.get(view.getUint32(1, true));
+      if (!clientId) return null;
+
+      const readStrokeId = (offset) => {
+        const length = view.getUint8(offset);
+        let strokeId = '';
+        for (let i = 0; i < length; i++) {
+          strokeId += String.fromCharCode(view.getUint8(offset + 1 + i));
+        }
+        return { strokeId: strokeId || null, next: offset + 1 + length };
+      };
+      // The offset wraps after ~49 days of server uptime; take the wrap closest to our clock
+      let timestamp = this.binaryTimeBase + view.getUint32(5, true);
+      timestamp += Math.round((this.getServerTime() - timestamp) / 0x100000000) * 0x100000000;
+      const x = view.getInt32(9, true) / scale;
+      const y = view.getInt32(13, true) / scale;
+
+      if (opcode === 3) {
+        const { strokeId, next } = readStrokeId(17);
+        const count = view.getUint8(next);
+        const points = [];
+        for (let i = 0, offset = next + 1; i < count; i++, offset += 6) {
+          points.push([
+            view.getInt16(offset, true) / scale,
+            view.getInt16(offset + 2, true) / scale,
+            view.getUint16(offset + 4, true)
+          ]);
+        }
+        return { type: 'strokePoints', clientId, strokeId, from: { x, y }, points, timestamp };
+      }
+
+      if (opcode !== 1 && opcode !== 2) return null;
+      const color = '#' + [17, 18, 19]
+        .map((offset) => view.getUint8(offset).toString(16).padStart(2, '0'))
+        .join('');
+      const size = view.getUint8(20) / 50;
+      const glow = view.getUint8(21) / 50;
+      const cursorMode = view.getUint8(22) & 1 ? 'star' : 'halo';
+      // Names are not repeated in binary frames; use the one from the latest settings update
+      const username = this.userSettings.get(clientId)?.username;
+
+      if (opcode === 1) {
+        const message = { type: 'mousePosition', clientId, x, y, color, size, glow, cursorMode, username, timestamp };
+        if (view.byteLength >= 37) {
+          message.view = {
+            x: view.getInt32(23, true) / scale,
+            y: view.getInt32(27, true) / scale,
+            zoom: view.getUint16(31, true) / 1000,
+            width: view.getUint16(33, true),
+            height: view.getUint16(35, true)
+          };
+        }
+        return message;
       }
-    }, 25000);
+      return {
+        type: 'lightTrail',
+        clientId,
+        trail: { x, y, size, glow },
+        strokeId: readStrokeId(23).strokeId,
+        color,
+        size,
+        glow,
+        cursorMode,
+        username,
+        timestamp
+      };
+    } catch (error) {
+      console.error('Malformed binary message:', error);
+    }
+    return null;
+  }
+
+  startHeartbeat() {
+    // Send ping every 25 seconds to keep connection alive; each one also refines the clock offset
+    this.heartbeatInterval = setInterval(() => this.sendClockPing(), 25000);
+    this.clockSamples = [];
+    for (let i = 0; i < this.clockSyncBurst; i++) {
+      this.clockSyncTimeouts.push(setTimeout(() => this.sendClockPing(), i * this.clockSyncSpacing));
+    }
   }
 
   stopHeartbeat() {
@@ -1444,6 +3876,38 @@ class LightTrailsClient {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    this.clockSyncTimeouts.forEach((timeout) => clearTimeout(timeout));
+    this.clockSyncTimeouts = [];
+  }
+
+  sendClockPing() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'ping', clientTime: Date.now() }));
+    }
+  }
+
+  /**
+   * NTP-style offset estimate: assuming the pong was stamped halfway through the round
+   * trip, offset = serverTime - (sent + received) / 2. The sample with the shortest round
+   * trip has the least room for asymmetric delay, so it wins
+   */
+  handleClockPong(data) {
+    if (typeof data.clientTime !== 'number' || typeof data.timestamp !== 'number') return;
+    const receivedAt = Date.now();
+    const rtt = receivedAt - data.clientTime;
+    if (rtt < 0) return;
+
+    this.clockSamples.push({ offset: data.timestamp - (data.clientTime + receivedAt) / 2, rtt });
+    if (this.clockSamples.length > this.clockSampleLimit) {
+      this.clockSamples.shift();
+    }
+    const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.clockOffset = Math.round(best.offset);
+  }
+
+  // Current time on the server's clock
+  getServerTime() {
+    return Date.now() + this.clockOffset;
   }
 
   createJoinOrb({ isSelf = false, clientId = null } = {}) {
@@ -1508,14 +3972,16 @@ class LightTrailsClient {
       ? options.startY
       : window.innerHeight * (0.1 + Math.random() * 0.7);
 
+    // Shower streaks bring their own seeded jitter; ambient stars are local and use Math.random
+    const [startJitter, travelJitter] = options.jitter || [Math.random(), Math.random()];
     let startX;
     let travelX;
     if (direction === 'rightToLeft') {
-      startX = window.innerWidth + 200 + Math.random() * 160;
-      travelX = -(window.innerWidth + 400 + Math.random() * 120);
+      startX = window.innerWidth + 200 + startJitter * 160;
+      travelX = -(window.innerWidth + 400 + travelJitter * 120);
     } else {
-      startX = -200 - Math.random() * 160;
-      travelX = window.innerWidth + 400 + Math.random() * 120;
+      startX = -200 - startJitter * 160;
+      travelX = window.innerWidth + 400 + travelJitter * 120;
     }
 
     const travelY = options.travelY !== undefined
@@ -1540,37 +4006,322 @@ class LightTrailsClient {
     star.style.background = `linear-gradient(${gradientDirection}deg, rgba(255,255,255,0) 0%, ${this.hexToRgba(palette.start, 0.0)} 10%, ${this.hexToRgba(palette.mid, 0.8)} 40%, ${this.hexToRgba(palette.end, 0.65)} 70%, rgba(255,255,255,0) 100%)`;
 
     this.shootingStarLayer.appendChild(star);
+    this.trackCaptureEffect({
+      type: 'shootingStar',
+      startX,
+      startY,
+      travelX,
+      travelY,
+      angle,
+      palette,
+      duration: (options.duration || 2.6) * 1000
+    });
 
     star.addEventListener('animationend', () => {
       star.remove();
     }, { once: true });
   }
 
+  // Shared effects start at the server's startAt
+  getEffectStartDelay(startAt) {
+    if (typeof startAt !== 'number') return 0;
+    return this.clamp(startAt - this.getServerTime(), 0, this.maxEffectLead);
+  }
+
   startMeteorShower(eventData = {}) {
+    // Every random choice comes from the shared seed so all participants see the same streaks
+    const random = typeof eventData.seed === 'number' ? this.createSeededRandom(eventData.seed) : Math.random;
+    const startAt = typeof eventData.startAt === 'number' ? eventData.startAt : this.getServerTime();
+    const startDelay = this.getEffectStartDelay(eventData.startAt);
     const streakCount = eventData.streakCount ?? 12;
-    const direction = eventData.direction ?? (Math.random() > 0.5 ? 'leftToRight' : 'rightToLeft');
+    const direction = eventData.direction ?? (random() > 0.5 ? 'leftToRight' : 'rightToLeft');
     const duration = eventData.duration ?? 2.6;
     const baseColor = eventData.baseColor || this.getRandomColor();
     const spread = eventData.spread ?? 0.5;
+    // Triggered celebrations may list several colors; streaks take turns through them
+    const colors = Array.isArray(eventData.colors) && eventData.colors.length > 0 ? eventData.colors : [baseColor];
 
+    // Draw all streaks up front so the sequence doesn't depend on timer order
     for (let i = 0; i < streakCount; i++) {
-      const delay = i * 130 + Math.random() * 120;
-      window.setTimeout(() => {
-        const startY = window.innerHeight * (0.15 + Math.random() * 0.7);
-        const travelY = (Math.random() * spread - spread / 2) * window.innerHeight * 0.5;
-        this.createShootingStar({
-          direction,
-          startY,
-          travelY,
-          duration,
-          palette: this.getShimmerPalette(baseColor, i, Date.now() + delay)
-        });
-      }, delay);
+      const delay = i * 130 + random() * 120;
+      const streak = {
+        direction,
+        startY: window.innerHeight * (0.15 + random() * 0.7),
+        travelY: (random() * spread - spread / 2) * window.innerHeight * 0.5,
+        duration,
+        // Shimmer is keyed to the shared start time, not the local clock
+        palette: this.getShimmerPalette(colors[i % colors.length], i, startAt + delay),
+        jitter: [random(), random()]
+      };
+      window.setTimeout(() => this.createShootingStar(streak), startDelay + delay);
+    }
+  }
+
+  /**
+   * Seeded PRNG (mulberry32): the same seed yields the same sequence on every client,
+   * so effects driven by a server seed look identical on every screen
+   */
+  createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Sky events
+   * The server sends { type: 'skyEvent', kind, seed, duration, ...params }. A renderer's setup()
+   * draws every random choice from the seeded generator up front, and draw() is a pure function
+   * of that state and the event's progress, so all participants see the same animation.
+   * Screen-wide effects are laid out in viewport fractions; effects tied to the canvas use world units.
+   */
+  registerSkyEvent(kind, renderer) {
+    this.skyEventRenderers.set(kind, renderer);
+  }
+
+  startSkyEvent(event) {
+    const renderer = this.skyEventRenderers.get(event.kind);
+    if (!renderer || typeof event.seed !== 'number') {
+      console.warn('Unknown sky event:', event.kind);
+      return;
     }
+    const random = this.createSeededRandom(event.seed);
+    this.activeSkyEvents.push({
+      event,
+      renderer,
+      state: renderer.setup(event, random),
+      startedAt: performance.now() + this.getEffectStartDelay(event.startAt),
+      duration: (event.duration || 8) * 1000
+    });
+  }
+
+  renderSkyEvents() {
+    const ctx = this.skyCtx;
+    ctx.clearRect(0, 0, this.skyCanvas.width, this.skyCanvas.height);
+    if (this.activeSkyEvents.length === 0) return;
+
+    const now = performance.now();
+    this.activeSkyEvents = this.activeSkyEvents.filter((active) => now - active.startedAt < active.duration);
+    this.activeSkyEvents.forEach((active) => {
+      if (now < active.startedAt) return;
+      ctx.save();
+      ctx.globalCompositeOperation = 'lighter';
+      active.renderer.draw(ctx, active.state, (now - active.startedAt) / active.duration, active.event);
+      ctx.restore();
+    });
+  }
+
+  // Fade in over the first `fadeIn` and out over the last `fadeOut` of an event
+  getSkyEnvelope(progress, fadeIn = 0.15, fadeOut = 0.25) {
+    return Math.max(0, Math.min(1, progress / fadeIn, (1 - progress) / fadeOut));
+  }
+
+  registerBuiltInSkyEvents() {
+    this.registerSkyEvent('aurora', {
+      setup: (event, random) => ({
+        ribbons: (event.colors || ['#98b9ff', '#c8a8f8', '#a8d8ff']).map((color, index) => ({
+          color,
+          baseY: 0.12 + index * 0.1 + random() * 0.12,
+          amplitude: 0.03 + random() * 0.05,
+          wavelength: 0.25 + random() * 0.35,
+          drift: 0.6 + random() * 1.2,
+          phase: random() * Math.PI * 2,
+          thickness: 0.08 + random() * 0.1
+        }))
+      }),
+      draw: (ctx, state, progress) => {
+        const { width, height } = this.skyCanvas;
+        const envelope = this.getSkyEnvelope(progress, 0.2, 0.3);
+        // The curtain sweeps in from the left, then ripples in place
+        const reach = Math.min(1, progress * 2.5) * width;
+        state.ribbons.forEach((ribbon) => {
+          const edge = (x) => ribbon.baseY * height
+            + Math.sin((x / width) / ribbon.wavelength * Math.PI * 2 + ribbon.phase + progress * ribbon.drift * Math.PI * 2)
+            * ribbon.amplitude * height;
+          const thickness = ribbon.thickness * height;
+          const gradient = ctx.createLinearGradient(0, (ribbon.baseY - ribbon.amplitude) * height, 0, (ribbon.baseY + ribbon.amplitude) * height + thickness);
+          gradient.addColorStop(0, this.hexToRgba(ribbon.color, 0));
+          gradient.addColorStop(0.35, this.hexToRgba(ribbon.color, 0.28 * envelope));
+          gradient.addColorStop(1, this.hexToRgba(ribbon.color, 0));
+
+          ctx.beginPath();
+          ctx.moveTo(0, edge(0));
+          for (let x = 16; x <= reach; x += 16) {
+            ctx.lineTo(x, edge(x));
+          }
+          for (let x = reach; x >= 0; x -= 16) {
+            ctx.lineTo(x, edge(x) + thickness * (0.7 + 0.3 * Math.sin(x / 90 + ribbon.phase)));
+          }
+          ctx.closePath();
+          ctx.fillStyle = gradient;
+          ctx.fill();
+        });
+      }
+    });
+
+    this.registerSkyEvent('comet', {
+      setup: (event, random) => {
+        const fromLeft = random() < 0.5;
+        const startY = 0.1 + random() * 0.3;
+        return {
+          color: event.color || '#a8d8ff',
+          start: { x: fromLeft ? -0.1 : 1.1, y: startY },
+          control: { x: 0.5, y: startY - 0.1 + random() * 0.2 },
+          end: { x: fromLeft ? 1.1 : -0.1, y: 0.2 + random() * 0.5 },
+          dust: Array.from({ length: 40 }, () => ({ at: random(), offset: (random() - 0.5) * 0.03, size: 0.5 + random() * 1.5 }))
+        };
+      },
+      draw: (ctx, state, progress) => {
+        const { width, height } = this.skyCanvas;
+        const pointAt = (t) => {
+          const u = 1 - t;
+          return {
+            x: (u * u * state.start.x + 2 * u * t * state.control.x + t * t * state.end.x) * width,
+            y: (u * u * state.start.y + 2 * u * t * state.control.y + t * t * state.end.y) * height
+          };
+        };
+        // The head crosses in the first 70%; the tail lingers and fades along the path
+        const head = Math.min(1, progress / 0.7);
+        const tailLength = 0.45;
+        const fade = progress > 0.7 ? 1 - (progress - 0.7) / 0.3 : 1;
+
+        ctx.lineCap = 'round';
+        const steps = 40;
+        for (let i = 0; i < steps; i++) {
+          const t0 = head - tailLength * (i / steps);
+          const t1 = head - tailLength * ((i + 1) / steps);
+          if (t1 < 0) break;
+          const a = pointAt(t0);
+          const b = pointAt(t1);
+          ctx.beginPath();
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+          ctx.strokeStyle = this.hexToRgba(state.color, 0.55 * (1 - i / steps) * fade);
+          ctx.lineWidth = 6 * (1 - i / steps) + 1;
+          ctx.stroke();
+        }
+        state.dust.forEach((grain) => {
+          const t = head - grain.at * tailLength;
+          if (t < 0) return;
+          const p = pointAt(t);
+          ctx.fillStyle = `rgba(255, 255, 255, ${0.6 * (1 - grain.at) * fade})`;
+          ctx.fillRect(p.x, p.y + grain.offset * height, grain.size, grain.size);
+        });
+        if (head < 1) {
+          const p = pointAt(head);
+          const glow = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, 18);
+          glow.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
+          glow.addColorStop(0.4, this.hexToRgba(state.color, 0.6));
+          glow.addColorStop(1, this.hexToRgba(state.color, 0));
+          ctx.fillStyle = glow;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 18, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    });
+
+    this.registerSkyEvent('constellation', {
+      setup: (event, random) => {
+        const stars = (event.stars || []).map((star) => ({ ...star, twinkle: random() * Math.PI * 2 }));
+        // Minimum spanning tree from the first star, so every client draws the same lines
+        const edges = [];
+        const joined = new Set([0]);
+        while (joined.size < stars.length) {
+          let best = null;
+          joined.forEach((from) => {
+            stars.forEach((star, to) => {
+              if (joined.has(to)) return;
+              const distance = Math.hypot(star.x - stars[from].x, star.y - stars[from].y);
+              if (!best || distance < best.distance) best = { from, to, distance };
+            });
+          });
+          joined.add(best.to);
+          edges.push(best);
+        }
+        return { stars, edges };
+      },
+      draw: (ctx, state, progress) => {
+        const envelope = this.getSkyEnvelope(progress, 0.1, 0.3);
+        const points = state.stars.map((star) => this.toScreen(star));
+        ctx.lineWidth = 1.5;
+        state.edges.forEach((edge, index) => {
+          // Lines are traced one after another over the first half
+          const start = (index / state.edges.length) * 0.5;
+          const drawn = Math.max(0, Math.min(1, (progress - start) / (0.5 / state.edges.length)));
+          if (drawn <= 0) return;
+          const a = points[edge.from];
+          const b = points[edge.to];
+          ctx.beginPath();
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(a.x + (b.x - a.x) * drawn, a.y + (b.y - a.y) * drawn);
+          ctx.strokeStyle = `rgba(255, 255, 255, ${0.45 * envelope})`;
+          ctx.stroke();
+        });
+        state.stars.forEach((star, index) => {
+          const { x, y } = points[index];
+          const radius = 3 + Math.sin(progress * 20 + star.twinkle) * 1.2;
+          const glow = ctx.createRadialGradient(x, y, 0, x, y, radius * 4);
+          glow.addColorStop(0, `rgba(255, 255, 255, ${0.9 * envelope})`);
+          glow.addColorStop(0.3, this.hexToRgba(star.color || '#ffffff', 0.6 * envelope));
+          glow.addColorStop(1, this.hexToRgba(star.color || '#ffffff', 0));
+          ctx.fillStyle = glow;
+          ctx.beginPath();
+          ctx.arc(x, y, radius * 4, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+    });
+
+    this.registerSkyEvent('fireworks', {
+      setup: (event, random) => {
+        const colors = event.colors && event.colors.length > 0 ? event.colors : ['#ffd6e8'];
+        const bursts = Array.from({ length: event.bursts || 1 }, (_, index) => {
+          const color = colors[Math.floor(random() * colors.length)];
+          const count = 40 + Math.floor(random() * 30);
+          return {
+            delay: index === 0 ? 0 : 0.1 + random() * 0.3,
+            x: event.x + (index === 0 ? 0 : (random() - 0.5) * 240),
+            y: event.y + (index === 0 ? 0 : (random() - 0.5) * 160),
+            particles: Array.from({ length: count }, (__, i) => ({
+              angle: (i / count) * Math.PI * 2 + random() * 0.2,
+              speed: 90 + random() * 110,
+              color: random() < 0.3 ? colors[Math.floor(random() * colors.length)] : color
+            }))
+          };
+        });
+        return { bursts };
+      },
+      draw: (ctx, state, progress, event) => {
+        const seconds = event.duration || 4;
+        const scale = this.view.scale;
+        state.bursts.forEach((burst) => {
+          const local = (progress - burst.delay) / (1 - burst.delay);
+          if (local <= 0) return;
+          const t = local * seconds * 0.6; // Seconds since this burst went off
+          const alpha = Math.max(0, 1 - local);
+          const origin = this.toScreen(burst);
+          burst.particles.forEach((particle) => {
+            // Drag slows the spark while gravity pulls it down (world units)
+            const distance = particle.speed * (1 - Math.exp(-t * 1.8)) / 1.8;
+            const x = origin.x + Math.cos(particle.angle) * distance * scale;
+            const y = origin.y + (Math.sin(particle.angle) * distance + 40 * t * t) * scale;
+            ctx.fillStyle = this.hexToRgba(particle.color, alpha);
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(1, 2.2 * scale) * (0.6 + alpha * 0.4), 0, Math.PI * 2);
+            ctx.fill();
+          });
+        });
+      }
+    });
   }
 
   checkForCollisions(clientId, segment) {
-    const now = Date.now();
+    const now = this.getTrailClock();
     const recentWindow = 120;
 
     this.lastTrailPoints = this.lastTrailPoints.filter(entry => now - entry.timestamp < recentWindow);
@@ -1584,7 +4335,8 @@ class LightTrailsClient {
       if (entry.clientId === clientId) return;
       if (!entry.point) return;
 
-      const { x, y } = entry.point;
+      // Segments are in screen space; recent points are stored in world units
+      const { x, y } = this.toScreen(entry.point);
       const distance = primaryPoints.reduce((minDistance, basePoint) => {
         const dx = basePoint.x - x;
         const dy = basePoint.y - y;
@@ -1623,6 +4375,14 @@ class LightTrailsClient {
     sparkle.appendChild(petalTwo);
 
     this.sparkleLayer.appendChild(sparkle);
+    this.trackCaptureEffect({
+      type: 'sparkle',
+      x,
+      y,
+      paletteA,
+      paletteB,
+      duration: 750
+    });
 
     sparkle.addEventListener('animationend', () => {
       sparkle.remove();
@@ -1651,39 +4411,111 @@ class LightTrailsClient {
     switch (data.type) {
       case 'welcome':
         console.log(data.message);
+        // Rough offset (off by the one-way latency) so server timestamps on backfilled and live
+        // trail points are comparable with our clock before the first pong arrives
+        if (typeof data.serverTime === 'number' && this.clockSamples.length === 0) {
+          this.clockOffset = data.serverTime - Date.now();
+        }
+        // The welcome snapshot is the full roster; forget anyone from a previous connection
+        this.userSettings.clear();
+        this.participantActivity.clear();
+        this.followerCounts.clear();
+        this.participantRoles.clear();
+        this.follow = null;
+        this.updateFollowBanner();
         if (data.clientId) {
           this.clientId = data.clientId;
           console.log('Your client ID:', data.clientId);
           this.userSettings.set(this.clientId, this.getCurrentSettings());
         }
+        this.clearPolicy = data.clearPolicy || 'vote';
+        this.applyRole(data.role || 'drawer');
+        if (data.clearVote) {
+          this.handleClearVote({ ...data.clearVote, status: 'open' });
+        } else {
+          this.clearVote = null;
+          clearInterval(this.clearVoteTimer);
+          this.clearVoteTimer = null;
+          this.updateClearVoteBanner();
+          this.updateClearControls();
+        }
+        if (data.room) {
+          this.roomName = data.room;
+          console.log('Joined room:', data.room);
+        }
         this.updateClientCount(data.clientCount);
         this.createJoinOrb({ isSelf: true, clientId: data.clientId });
+        this.setAuthenticated(Boolean(data.authenticated));
         if (data.metadata && data.metadata.settings) {
           this.applyLocalSettingsAck(data.metadata.settings);
         }
+        this.wireClientIds.clear();
+        if (this.preferBinary && data.binaryProtocol?.version === this.binaryProtocolVersion) {
+          this.binaryCoordinateScale = data.binaryProtocol.coordinateScale || this.binaryCoordinateScale;
+          this.binaryTimeBase = data.binaryProtocol.timeBase || 0;
+          this.ws.send(JSON.stringify({
+            type: 'setWireFormat',
+            format: 'binary',
+            version: this.binaryProtocolVersion
+          }));
+        }
         if (Array.isArray(data.allSettings)) {
           data.allSettings.forEach((entry) => {
+            if (entry && typeof entry.wireId === 'number') {
+              this.wireClientIds.set(entry.wireId, entry.clientId);
+            }
+            if (entry && entry.role) {
+              this.participantRoles.set(entry.clientId, entry.role);
+            }
+            if (entry && entry.followerCount > 0) {
+              this.followerCounts.set(entry.clientId, entry.followerCount);
+            }
             if (entry && entry.clientId && entry.settings) {
               this.applyRemoteSettings(entry.clientId, entry.settings);
             }
           });
         }
+        if (Array.isArray(data.recentTrails) && !this.replay) {
+          this.replayRecentTrails(data.recentTrails);
+        }
         this.sendSettingsUpdate();
         break;
       
       case 'lightTrail':
+        // Live trails would mix with the replay timeline, so skip them while replaying
+        if (this.replay) break;
         // Add trail point from another client
         this.drawTrail({
           trail: data.trail,
+          strokeId: data.strokeId,
           color: data.color,
           clientId: data.clientId,
           size: data.size,
           glow: data.glow,
           cursorMode: data.cursorMode,
-          username: data.username
+          username: data.username,
+          timestamp: data.timestamp
         });
         break;
       
+      case 'strokeStart':
+        if (this.replay) break;
+        if (data.clientId && data.clientId !== this.clientId) {
+          this.handleRemoteStrokeStart(data);
+        }
+        break;
+
+      case 'strokePoints':
+        if (this.replay) break;
+        if (data.clientId && data.clientId !== this.clientId) {
+          this.handleRemoteStrokePoints(data);
+        }
+        break;
+
+      case 'strokeEnd':
+        this.remoteStrokes.delete(this.getStrokeKey(data.clientId, data.strokeId));
+        break;
+      
       case 'mousePosition':
         // Update cursor position for another client
         if (data.clientId && data.clientId !== this.clientId) {
@@ -1697,7 +4529,7 @@ class LightTrailsClient {
             username: data.username && data.username.trim()
               ? data.username.trim().slice(0, 18)
               : this.getFallbackUsername(data.clientId),
-            timestamp: data.timestamp || Date.now(),
+            timestamp: data.timestamp || this.getServerTime(),
             settings: {
               color: data.color || '#ffffff',
               size: this.clamp(data.size ?? 1, 0.5, 3),
@@ -1708,11 +4540,15 @@ class LightTrailsClient {
                 : this.getFallbackUsername(data.clientId)
             }
           };
+          this.addCursorSample(data.clientId, cursorEntry);
           this.otherCursors.set(data.clientId, cursorEntry);
           this.userSettings.set(data.clientId, cursorEntry.settings);
+          this.noteParticipantActivity(data.clientId, data, false);
+          if (data.view && this.follow?.clientId === data.clientId) {
+            this.applyFollowView(data.view);
+          }
           this.updateUsernameTag(data.clientId, {
-            x: data.x,
-            y: data.y,
+            ...this.toScreen(data),
             color: cursorEntry.color,
             size: cursorEntry.size,
             glow: cursorEntry.glow,
@@ -1723,16 +4559,73 @@ class LightTrailsClient {
         break;
       
       case 'clear':
-        // Clear canvas from server (another client cleared it)
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.allTrails.clear();
-        // Also clear other cursors
-        this.otherCursors.clear();
+        if (this.replay) break;
+        // The server approved a clear (possibly our own request)
+        this.clearCanvas(data.scope === 'own' ? data.clientId : null);
+        break;
+
+      case 'clearVote':
+        this.handleClearVote(data);
+        break;
+
+      case 'clearPolicy':
+        this.clearPolicy = data.policy;
+        this.updateClearControls();
+        break;
+
+      case 'muted':
+        this.applyMute(data);
+        break;
+      
+      case 'undoStroke':
+        if (this.replay) break;
+        if (data.clientId && data.clientId !== this.clientId) {
+          this.removeStroke(data.clientId, data.strokeId);
+        }
+        break;
+
+      case 'redoStroke':
+        if (this.replay) break;
+        if (data.clientId && data.clientId !== this.clientId) {
+          this.restoreStroke(data.clientId, data.strokeId);
+        }
         break;
       
+      case 'following':
+        if (data.targetId) {
+          this.follow = { clientId: data.targetId, view: null };
+          if (data.view) {
+            this.applyFollowView(data.view);
+          }
+        } else {
+          this.follow = null;
+        }
+        this.updateFollowBanner();
+        this.lastParticipantsRender = 0;
+        break;
+
+      case 'followers':
+        this.followerCounts.set(data.clientId, data.count);
+        if (data.clientId === this.clientId) {
+          this.scheduleViewBroadcast();
+        }
+        this.updateFollowBanner();
+        this.lastParticipantsRender = 0;
+        break;
+
+      case 'wireFormat':
+        this.wireFormat = data.format === 'binary' ? 'binary' : 'json';
+        break;
+
       case 'clientJoined':
+        if (typeof data.wireId === 'number') {
+          this.wireClientIds.set(data.wireId, data.clientId);
+        }
         this.updateClientCount(data.clientCount);
         this.createJoinOrb({ isSelf: false, clientId: data.clientId });
+        if (data.clientId && data.role) {
+          this.participantRoles.set(data.clientId, data.role);
+        }
         if (data.clientId && data.clientId !== this.clientId && data.metadata?.settings) {
           this.applyRemoteSettings(data.clientId, data.metadata.settings);
         }
@@ -1754,30 +4647,105 @@ class LightTrailsClient {
         // Remove cursor and trail for disconnected client
         if (data.clientId) {
           this.otherCursors.delete(data.clientId);
-          this.allTrails.delete(data.clientId);
+          (this.liveTrailState ? this.liveTrailState.allTrails : this.allTrails).delete(data.clientId);
+          this.remoteStrokes.forEach((stroke, key) => {
+            if (stroke.clientId === data.clientId) this.remoteStrokes.delete(key);
+          });
+          this.wireClientIds.forEach((clientId, wireId) => {
+            if (clientId === data.clientId) this.wireClientIds.delete(wireId);
+          });
           this.userSettings.delete(data.clientId);
+          this.participantActivity.delete(data.clientId);
+          this.followerCounts.delete(data.clientId);
+          this.participantRoles.delete(data.clientId);
+          if (this.spotlight?.clientId === data.clientId) this.spotlight = null;
+          // The server already dropped the follow when the leader left
+          if (this.follow?.clientId === data.clientId) {
+            this.follow = null;
+            this.updateFollowBanner();
+          }
           this.removeUsernameTag(data.clientId);
         }
         this.updateClientCount(data.clientCount);
         break;
       
+      case 'roleChanged':
+        if (data.clientId === this.clientId) {
+          console.log('Your role is now', data.role);
+          this.applyRole(data.role);
+        } else if (data.clientId) {
+          this.participantRoles.set(data.clientId, data.role);
+          this.updateParticipantsPanel(true);
+        }
+        break;
+
       case 'pong':
-        // Heartbeat response
+        // Heartbeat response, also used for clock sync
+        this.handleClockPong(data);
         break;
       
       case 'error':
-        console.error('Server error:', data.message);
+        if (data.code === 'authFailed') {
+          console.error('Authentication failed:', data.message);
+        } else if (data.code === 'kicked' || data.code === 'banned') {
+          console.warn(`Disconnected by a moderator (${data.code}):`, data.message);
+          this.moderationMessage = data.code === 'banned' ? `Banned: ${data.message}` : `Removed: ${data.message}`;
+        } else if (data.code === 'muted') {
+          console.warn('Drawing muted:', data.message);
+        } else if (data.code === 'forbidden') {
+          console.warn('Not allowed:', data.message);
+        } else if (data.code === 'rateLimited') {
+          console.warn('Server rate limit:', data.message);
+        } else if (data.code === 'invalidMessage') {
+          console.error(`Server rejected ${data.messageType} (${data.field}):`, data.message);
+        } else {
+          console.error('Server error:', data.message);
+        }
         break;
       
       case 'meteorShower':
         this.startMeteorShower(data);
         break;
+
+      case 'skyEvent':
+        this.startSkyEvent(data);
+        break;
       
       default:
         console.log('Unknown message type:', data.type);
     }
   }
 
+  handleAuthFailure(reason) {
+    console.error('Authentication failed:', reason || 'unknown reason');
+    this.clearAuthToken();
+    const statusText = document.getElementById('statusText');
+    if (statusText) {
+      statusText.textContent = 'Sign-in required';
+    }
+    if (this.connectedStarsEl) {
+      this.connectedStarsEl.textContent = reason || 'Sign-in required';
+    }
+  }
+
+  showModerationStatus(message) {
+    const statusText = document.getElementById('statusText');
+    if (statusText) {
+      statusText.textContent = message;
+    }
+    if (this.connectedStarsEl) {
+      this.connectedStarsEl.textContent = message;
+    }
+  }
+
+  setAuthenticated(authenticated) {
+    this.isAuthenticated = authenticated;
+    if (this.usernameInput) {
+      this.usernameInput.readOnly = authenticated;
+      this.usernameInput.title = authenticated ? 'Your name comes from your sign-in' : '';
+    }
+  }
+
   updateStatus(connected) {
     const statusDot = document.getElementById('statusDot');
     const statusText = document.getElementById('statusText');
@@ -1792,7 +4760,7 @@ class LightTrailsClient {
       statusText.textContent = 'Connected';
       if (this.connectedStarsEl) {
         const count = Math.max(1, this.latestClientCount || 1);
-        this.connectedStarsEl.textContent = `${count} connected ${count === 1 ? 'star' : 'stars'}`;
+        this.connectedStarsEl.textContent = this.formatStarCount(count);
       }
     } else {
       statusDot.classList.remove('connected');
@@ -1816,7 +4784,12 @@ class LightTrailsClient {
       this.connectedStarsEl.textContent = 'Awaiting starlight...';
       return;
     }
-    this.connectedStarsEl.textContent = `${count} connected ${count === 1 ? 'star' : 'stars'}`;
+    this.connectedStarsEl.textContent = this.formatStarCount(count);
+  }
+
+  formatStarCount(count) {
+    const label = `${count} connected ${count === 1 ? 'star' : 'stars'}`;
+    return this.roomName ? `${label} in ${this.roomName}` : label;
   }
 }
 
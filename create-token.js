@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Mint an HS256 token for the LightTrails server
+// Usage: AUTH_SECRET=... node create-token.js <userId> [displayName] [ttlHours]
+
+const base64UrlEncode = (value) => Buffer.from(value)
+  .toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+function createAuthToken(secret, { userId, name, ttlHours = 24 }) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    sub: userId,
+    name,
+    iat: nowSeconds,
+    exp: nowSeconds + Math.round(ttlHours * 3600)
+  };
+
+  const unsigned = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', secret)
+    .update(unsigned)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+  return `${unsigned}.${signature}`;
+}
+
+const [userId, name, ttlHours] = process.argv.slice(2);
+const secret = process.env.AUTH_SECRET;
+
+if (!secret || !userId) {
+  console.error('Usage: AUTH_SECRET=<secret> node create-token.js <userId> [displayName] [ttlHours]');
+  process.exit(1);
+}
+
+// A NaN ttl would serialize exp as null and mint a token that never expires
+const ttl = ttlHours === undefined ? 24 : Number(ttlHours);
+if (!Number.isFinite(ttl) || ttl <= 0) {
+  console.error(`ttlHours must be a positive number, got "${ttlHours}"`);
+  process.exit(1);
+}
+
+console.log(createAuthToken(secret, {
+  userId,
+  name: name || userId,
+  ttlHours: ttl
+}));
@@ -1,5 +1,6 @@
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -7,8 +8,12 @@ const PORT = process.env.PORT || 3000;
 
 // Create HTTP server
 const server = http.createServer((req, res) => {
+  // Ignore query strings such as ?room=name when routing static files
+  const requestUrl = new URL(req.url, 'http://localhost');
+  const pathname = requestUrl.pathname;
+
   // Serve the client HTML file
-  if (req.url === '/' || req.url === '/index.html') {
+  if (pathname === '/' || pathname === '/index.html') {
     fs.readFile(path.join(__dirname, 'public', 'index.html'), (err, data) => {
       if (err) {
         res.writeHead(500);
@@ -18,7 +23,7 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'text/html' });
       res.end(data);
     });
-  } else if (req.url === '/client.js') {
+  } else if (pathname === '/client.js') {
     fs.readFile(path.join(__dirname, 'public', 'client.js'), (err, data) => {
       if (err) {
         res.writeHead(500);
@@ -28,36 +33,419 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'application/javascript' });
       res.end(data);
     });
+  } else if (pathname === '/api/sessions' || pathname.startsWith('/api/sessions/')) {
+    handleSessionsRequest(req, res, requestUrl);
+  } else if (pathname.startsWith('/api/admin/')) {
+    handleAdminRequest(req, res, requestUrl);
   } else {
     res.writeHead(404);
     res.end('Not found');
   }
 });
 
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Recorded sessions hold every stroke and username, so once auth is enabled reading them takes
+// "Authorization: Bearer <token>" with a valid user token or the admin secret
+function canReadSessions(req) {
+  if (!AUTH_ENABLED || (ADMIN_ENABLED && isAdminRequest(req))) {
+    return true;
+  }
+  const match = /^Bearer\s+(.+)$/.exec(req.headers.authorization || '');
+  return Boolean(match && verifyAuthToken(match[1].trim()).auth);
+}
+
+// GET /api/sessions?room=name lists recorded sessions
+// GET /api/sessions/<room>/<sessionId>?part=N returns one part file of a session's recorded events;
+// the response's nextPart is null on the last one. Serving a part at a time keeps each response
+// within HISTORY_MAX_FILE_BYTES however long the session ran
+function handleSessionsRequest(req, res, requestUrl) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  if (!HISTORY_ENABLED) {
+    sendJson(res, 404, { error: 'Session history is disabled' });
+    return;
+  }
+  if (!canReadSessions(req)) {
+    sendJson(res, 401, { error: 'Authentication required' });
+    return;
+  }
+
+  const segments = requestUrl.pathname.split('/').filter(Boolean).slice(2);
+  if (segments.length === 0) {
+    const roomName = sanitizeRoomName(requestUrl.searchParams.get('room'));
+    listSessions(roomName, (err, sessions) => {
+      if (err) {
+        console.error(`Unable to list sessions for room ${roomName}:`, err);
+        sendJson(res, 500, { error: 'Unable to list sessions' });
+        return;
+      }
+      sendJson(res, 200, { room: roomName, sessions });
+    });
+    return;
+  }
+
+  let roomName;
+  try {
+    roomName = sanitizeRoomName(decodeURIComponent(segments[0]));
+  } catch (error) {
+    roomName = null;
+  }
+  const sessionId = segments[1];
+  if (!roomName || segments.length !== 2 || !/^\d+$/.test(sessionId)) {
+    sendJson(res, 400, { error: 'Expected /api/sessions/<room>/<sessionId>' });
+    return;
+  }
+  const partParam = requestUrl.searchParams.get('part') || '0';
+  if (!/^\d{1,6}$/.test(partParam)) {
+    sendJson(res, 400, { error: 'part must be a non-negative integer' });
+    return;
+  }
+  const part = Number(partParam);
+
+  readSessionPart(roomName, sessionId, part, (err, result) => {
+    if (err) {
+      if (err.code === 'ENOENT') {
+        sendJson(res, 404, { error: 'Session not found' });
+        return;
+      }
+      console.error(`Unable to read session ${sessionId} for room ${roomName}:`, err);
+      sendJson(res, 500, { error: 'Unable to read session' });
+      return;
+    }
+    const { events, parts, sessionEndedAt } = result;
+    sendJson(res, 200, {
+      room: roomName,
+      sessionId,
+      part,
+      parts,
+      nextPart: part + 1 < parts ? part + 1 : null,
+      sessionEndedAt,
+      startedAt: events.length > 0 ? events[0].timestamp : Number(sessionId),
+      endedAt: events.length > 0 ? events[events.length - 1].timestamp : Number(sessionId),
+      events
+    });
+  });
+}
+
+// Parse a small JSON request body; calls back with (error, body)
+function readJsonBody(req, callback) {
+  let size = 0;
+  const chunks = [];
+  let failed = false;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > ADMIN_MAX_BODY_BYTES) {
+      failed = true;
+      callback(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (failed) {
+      return;
+    }
+    if (chunks.length === 0) {
+      callback(null, {});
+      return;
+    }
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      callback(isPlainObject(body) ? null : new Error('Body must be a JSON object'), body);
+    } catch (error) {
+      callback(new Error('Invalid JSON body'));
+    }
+  });
+}
+
+function isAdminRequest(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/.exec(header);
+  if (!match) {
+    return false;
+  }
+  // Compare digests so the check takes the same time whatever the secret's length
+  const expected = crypto.createHash('sha256').update(ADMIN_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Admin API, enabled by ADMIN_SECRET and authorized with "Authorization: Bearer <secret>"
+// GET    /api/admin/clients          lists connections
+// POST   /api/admin/kick             { clientId, reason? }
+// POST   /api/admin/mute             { clientId, minutes } (0 unmutes)
+// GET    /api/admin/bans             lists bans
+// POST   /api/admin/bans             { ip? | userId? | clientId?, reason? }
+// DELETE /api/admin/bans/<banId>     lifts a ban
+// POST   /api/admin/meteor-shower    { room?, colors?, streakCount?, direction? } (all enabled rooms without room)
+// POST   /api/admin/sky-event        { kind, room?, colors?, x?, y? } (x/y place fireworks, in world units)
+function handleAdminRequest(req, res, requestUrl) {
+  if (!ADMIN_ENABLED) {
+    sendJson(res, 404, { error: 'Admin API is disabled' });
+    return;
+  }
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const segments = requestUrl.pathname.split('/').filter(Boolean).slice(2);
+  const route = `${req.method} ${segments[0] || ''}`;
+
+  if (route === 'GET clients' && segments.length === 1) {
+    sendJson(res, 200, { clients: listConnections() });
+    return;
+  }
+  if (route === 'GET bans' && segments.length === 1) {
+    sendJson(res, 200, { bans });
+    return;
+  }
+  if (route === 'DELETE bans' && segments.length === 2) {
+    const ban = removeBan(segments[1]);
+    if (!ban) {
+      sendJson(res, 404, { error: 'Ban not found' });
+      return;
+    }
+    sendJson(res, 200, { removed: ban });
+    return;
+  }
+  if (req.method !== 'POST' || segments.length !== 1 || !['kick', 'mute', 'bans', 'meteor-shower', 'sky-event'].includes(segments[0])) {
+    sendJson(res, 404, { error: 'Unknown admin endpoint' });
+    return;
+  }
+
+  readJsonBody(req, (err, body) => {
+    if (err) {
+      sendJson(res, 400, { error: err.message });
+      return;
+    }
+    if (segments[0] === 'meteor-shower' || segments[0] === 'sky-event') {
+      handleSkyEventTrigger(res, body, segments[0] === 'meteor-shower' ? 'meteorShower' : body.kind);
+      return;
+    }
+
+    const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, 200) : '';
+    const target = typeof body.clientId === 'string' ? findClientById(body.clientId) : null;
+
+    if (segments[0] === 'bans') {
+      const ip = typeof body.ip === 'string' && body.ip.trim()
+        ? normalizeIp(body.ip.trim())
+        : (target && !target.info.auth ? normalizeIp(target.info.ip) : null);
+      const userId = typeof body.userId === 'string' && body.userId.trim()
+        ? body.userId.trim()
+        : (target && target.info.auth ? target.info.auth.userId : null);
+      if (!ip && !userId) {
+        sendJson(res, 400, { error: 'Expected ip, userId or the clientId of a connected client' });
+        return;
+      }
+      const ban = addBan({ ip, userId, reason });
+      sendJson(res, 201, { ban, disconnected: enforceBan(ban) });
+      return;
+    }
+
+    if (!target) {
+      sendJson(res, 404, { error: 'Client not found' });
+      return;
+    }
+    if (segments[0] === 'kick') {
+      disconnectClient(target.ws, 'kicked', reason || 'Removed by a moderator', KICK_CLOSE_CODE);
+      sendJson(res, 200, { kicked: target.info.id });
+      return;
+    }
+
+    const minutes = Number(body.minutes);
+    if (!Number.isFinite(minutes) || minutes < 0 || minutes > ADMIN_MAX_MUTE_MINUTES) {
+      sendJson(res, 400, { error: `minutes must be between 0 and ${ADMIN_MAX_MUTE_MINUTES}` });
+      return;
+    }
+    const mutedUntil = muteClient(target.info, minutes * 60 * 1000, reason);
+    sendJson(res, 200, { clientId: target.info.id, mutedUntil });
+  });
+}
+
+function handleSkyEventTrigger(res, body, kind) {
+  if (!SKY_EVENT_KINDS.includes(kind)) {
+    sendJson(res, 400, { error: `kind must be one of: ${SKY_EVENT_KINDS.join(', ')}` });
+    return;
+  }
+  const overrides = {};
+  if (body.colors !== undefined) {
+    const colors = Array.isArray(body.colors) ? body.colors.slice(0, 12).map(normalizeColor) : [];
+    if (colors.length === 0 || colors.includes(null)) {
+      sendJson(res, 400, { error: 'colors must be a non-empty array of hex or rgb() colors' });
+      return;
+    }
+    overrides.colors = colors;
+  }
+  if (body.streakCount !== undefined) {
+    if (!Number.isInteger(body.streakCount) || body.streakCount < 1 || body.streakCount > METEOR_MAX_STREAKS) {
+      sendJson(res, 400, { error: `streakCount must be an integer between 1 and ${METEOR_MAX_STREAKS}` });
+      return;
+    }
+    overrides.streakCount = body.streakCount;
+  }
+  if (body.direction !== undefined) {
+    if (!['leftToRight', 'rightToLeft'].includes(body.direction)) {
+      sendJson(res, 400, { error: 'direction must be leftToRight or rightToLeft' });
+      return;
+    }
+    overrides.direction = body.direction;
+  }
+  if (body.x !== undefined || body.y !== undefined) {
+    const valid = [body.x, body.y].every((value) => (
+      typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE
+    ));
+    if (!valid) {
+      sendJson(res, 400, { error: `x and y must both be numbers within ±${MAX_COORDINATE}` });
+      return;
+    }
+    overrides.position = { x: body.x, y: body.y };
+  }
+
+  // Without a room, rooms that turned showers off are left alone; naming a room always fires there
+  let roomNames = Array.from(rooms.keys()).filter((roomName) => getRoomSkyEventSettings(roomName).enabled);
+  if (body.room !== undefined) {
+    const roomName = sanitizeRoomName(body.room);
+    if (!rooms.has(roomName)) {
+      sendJson(res, 404, { error: 'Room not found' });
+      return;
+    }
+    roomNames = [roomName];
+  }
+  const events = roomNames
+    .map((roomName) => ({ room: roomName, event: launchRoomSkyEvent(roomName, kind, overrides) }))
+    .filter((entry) => entry.event);
+  if (events.length === 0 && roomNames.length > 0) {
+    sendJson(res, 409, { error: `No room can show a ${kind} right now (constellations need at least two active cursors)` });
+    return;
+  }
+  sendJson(res, 200, { events });
+}
+
 // Create WebSocket server with configuration
 const wss = new WebSocket.Server({ 
   server,
   perMessageDeflate: false, // Disable compression for lower latency
-  clientTracking: true // Enable built-in client tracking
+  clientTracking: true, // Enable built-in client tracking
+  maxPayload: 64 * 1024 // Hard frame limit; MAX_MESSAGE_BYTES is enforced per message below
 });
 
 // Store all connected clients with metadata
 const clients = new Map();
 
+// Named rooms: roomName -> Set of sockets sharing one canvas
+const rooms = new Map();
+const DEFAULT_ROOM = 'lobby';
+const MAX_ROOM_NAME_LENGTH = 32;
+
 // Connection health check interval (30 seconds)
 const HEARTBEAT_INTERVAL = 30000;
 const CONNECTION_TIMEOUT = 10000;
-const METEOR_MIN_INTERVAL = 60000;
-const METEOR_MAX_INTERVAL = 120000;
-
-const METEOR_COLORS = [
-  '#ffb6c1',
-  '#ffd6e8',
-  '#c8a8f8',
-  '#98b9ff',
-  '#d6a8ff',
-  '#a8d8ff'
-];
+// Recent trail points kept per client so late joiners see fading trails
+const TRAIL_BACKFILL_WINDOW = parseInt(process.env.TRAIL_BACKFILL_WINDOW, 10) || 8000;
+const TRAIL_BACKFILL_MAX_POINTS = 400;
+// Token bucket budgets per message type: refill rate (tokens/sec) and burst size
+const DEFAULT_RATE_LIMITS = {
+  lightTrail: { rate: 120, burst: 240 },
+  strokeStart: { rate: 10, burst: 20 },
+  strokePoints: { rate: 40, burst: 80 },
+  strokeEnd: { rate: 10, burst: 20 },
+  mousePosition: { rate: 25, burst: 40 },
+  updateSettings: { rate: 5, burst: 10 },
+  clear: { rate: 0.5, burst: 2 },
+  clearVote: { rate: 1, burst: 3 },
+  setClearPolicy: { rate: 1, burst: 3 },
+  undoStroke: { rate: 5, burst: 10 },
+  redoStroke: { rate: 5, burst: 10 },
+  ping: { rate: 2, burst: 5 },
+  default: { rate: 10, burst: 20 }
+};
+const RATE_LIMITS = loadRateLimits();
+// Disconnect a client that keeps exceeding its budget within this window
+const ABUSE_WINDOW = 10000;
+const ABUSE_MAX_VIOLATIONS = parseInt(process.env.ABUSE_MAX_VIOLATIONS, 10) || 300;
+const RATE_LIMIT_ERROR_INTERVAL = 1000;
+// Optional on-disk session history (append-only JSON lines per room)
+const HISTORY_ENABLED = ['1', 'true', 'yes'].includes(String(process.env.PERSIST_HISTORY || '').toLowerCase());
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, 'history');
+const HISTORY_MAX_FILE_BYTES = parseInt(process.env.HISTORY_MAX_FILE_BYTES, 10) || 5 * 1024 * 1024;
+const HISTORY_MAX_FILES_PER_ROOM = parseInt(process.env.HISTORY_MAX_FILES_PER_ROOM, 10) || 50;
+const HISTORY_RETENTION_MS = (parseFloat(process.env.HISTORY_RETENTION_DAYS) || 14) * 24 * 60 * 60 * 1000;
+const HISTORY_SWEEP_INTERVAL = 60 * 60 * 1000;
+// Optional authentication with HS256 JWTs signed by AUTH_SECRET
+const AUTH_SECRET = process.env.AUTH_SECRET || '';
+const AUTH_ENABLED = AUTH_SECRET.length > 0;
+const AUTH_REQUIRED = AUTH_ENABLED && ['1', 'true', 'yes'].includes(String(process.env.AUTH_REQUIRED || '').toLowerCase());
+const AUTH_CLOSE_CODE = 4401;
+const AUTH_CLOCK_SKEW_SECONDS = 30;
+// Moderation: the admin API is enabled by ADMIN_SECRET; bans survive restarts in BANS_FILE
+const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
+const ADMIN_ENABLED = ADMIN_SECRET.length > 0;
+const ADMIN_MAX_BODY_BYTES = 16 * 1024;
+const ADMIN_MAX_MUTE_MINUTES = 24 * 60;
+const BANS_FILE = process.env.BANS_FILE || path.join(__dirname, 'bans.json');
+// Behind a reverse proxy (e.g. Render) the socket address is the proxy's; set TRUST_PROXY=true
+// to take the client address from the last X-Forwarded-For hop (the one the proxy appended) instead
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+const BAN_CLOSE_CODE = 4403;
+const KICK_CLOSE_CODE = 4400;
+// Room roles: the first client in a room owns it; everyone else joins with ROOM_DEFAULT_ROLE
+const ROOM_DEFAULT_ROLE = process.env.ROOM_DEFAULT_ROLE === 'spectator' ? 'spectator' : 'drawer';
+// Who may wipe a room's canvas: only the owner, a majority vote, or each drawer their own strokes
+const CLEAR_POLICIES = ['owner', 'vote', 'own'];
+const DEFAULT_CLEAR_POLICY = CLEAR_POLICIES.includes(process.env.CLEAR_POLICY) ? process.env.CLEAR_POLICY : 'vote';
+const CLEAR_VOTE_WINDOW = parseInt(process.env.CLEAR_VOTE_WINDOW, 10) || 20000;
+// Messages that change the canvas; spectators may not send them (their cursor still moves)
+const DRAWING_MESSAGE_TYPES = new Set([
+  'lightTrail',
+  'strokeStart',
+  'strokePoints',
+  'strokeEnd',
+  'undoStroke',
+  'redoStroke',
+  'clear'
+]);
+// Sky events: scheduled or triggered effects every client in a room renders identically from a shared seed
+const SKY_EVENT_KINDS = ['meteorShower', 'aurora', 'comet', 'constellation', 'fireworks'];
+// Events are scheduled this far ahead so every client has received them before they start
+const SKY_EVENT_LEAD_TIME = parseInt(process.env.SKY_EVENT_LEAD_TIME, 10) || 500;
+const CONSTELLATION_CURSOR_WINDOW = 30000;
+const CONSTELLATION_MAX_STARS = 12;
+// Meteor showers: defaults for every room, overridden by METEOR_* env vars and per room by METEOR_CONFIG_FILE
+const DEFAULT_METEOR_SETTINGS = {
+  enabled: true,
+  interval: [60, 120], // Seconds between showers, picked at random in this range
+  schedule: null, // Cron expression (minute hour day-of-month month day-of-week); replaces interval
+  palette: [
+    '#ffb6c1',
+    '#ffd6e8',
+    '#c8a8f8',
+    '#98b9ff',
+    '#d6a8ff',
+    '#a8d8ff'
+  ],
+  streaks: [10, 17],
+  duration: 2.6,
+  spread: 0.6,
+  // Sky events the scheduler picks from at random (see SKY_EVENT_BUILDERS); rooms opt in to the others
+  events: ['meteorShower']
+};
+const METEOR_CONFIG_FILE = process.env.METEOR_CONFIG_FILE || '';
+const METEOR_INTERVAL_LIMITS = [5, 24 * 60 * 60];
+const METEOR_MAX_STREAKS = 60;
+// setTimeout cannot wait longer than this; longer cron waits are re-planned in steps
+const METEOR_MAX_TIMER_DELAY = 2 ** 31 - 1;
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
 
 const DEFAULT_SETTINGS = {
   color: '#ff6b6b',
@@ -69,12 +457,533 @@ const DEFAULT_SETTINGS = {
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+// Inbound message validation limits
+const MAX_MESSAGE_BYTES = 4096;
+const MAX_COORDINATE = 100000;
+const MAX_USERNAME_LENGTH = 18;
+const MAX_STROKE_BATCH_POINTS = 64;
+const MAX_STROKE_DELTA_TIME = 10000;
+const MAX_ACTIVE_STROKES = 4;
+const STROKE_IDLE_TIMEOUT = 30000;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const STROKE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CLIENT_ID_PATTERN = /^client_[A-Za-z0-9_]{1,56}$/;
+const MAX_VIEW_ZOOM = 50;
+const MAX_VIEWPORT_SIZE = 16384;
+const RGB_COLOR_PATTERN = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/i;
+
+// Opt-in binary wire format for high-frequency traffic (see encodeBinaryMessage)
+const BINARY_PROTOCOL_VERSION = 2;
+// Coordinates travel as integers in 1/BINARY_COORDINATE_SCALE pixel steps
+const BINARY_COORDINATE_SCALE = 10;
+// Size and glow (0.5-3) travel as uint8 in 1/BINARY_SETTINGS_SCALE steps
+const BINARY_SETTINGS_SCALE = 50;
+const BINARY_OPCODES = {
+  mousePosition: 1,
+  lightTrail: 2,
+  strokePoints: 3
+};
+const BINARY_FLAG_STAR_CURSOR = 1;
+// Server -> client frames carry their timestamp as a u32 ms offset from this base (sent in welcome)
+const BINARY_TIME_BASE = Date.now();
+
+// Field specs shared by every message that carries trail settings
+const SETTINGS_FIELDS = {
+  color: { type: 'color' },
+  size: { type: 'number', min: 0.5, max: 3 },
+  glow: { type: 'number', min: 0.5, max: 3 },
+  cursorMode: { type: 'enum', values: ['halo', 'star'] },
+  username: { type: 'string', maxLength: MAX_USERNAME_LENGTH }
+};
+
+const STROKE_ID_FIELD = { type: 'string', maxLength: 64, pattern: STROKE_ID_PATTERN };
+
+// Allowed fields per inbound message type; anything not listed is stripped
+const MESSAGE_SCHEMAS = {
+  updateSettings: {
+    ...SETTINGS_FIELDS
+  },
+  lightTrail: {
+    trail: {
+      type: 'object',
+      required: true,
+      fields: {
+        x: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+        y: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+        size: SETTINGS_FIELDS.size,
+        glow: SETTINGS_FIELDS.glow
+      }
+    },
+    strokeId: STROKE_ID_FIELD,
+    ...SETTINGS_FIELDS
+  },
+  // Stroke protocol: settings are sent once per stroke, points follow as [dx, dy, dt] deltas
+  strokeStart: {
+    strokeId: { ...STROKE_ID_FIELD, required: true },
+    x: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+    y: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+    ...SETTINGS_FIELDS
+  },
+  strokePoints: {
+    strokeId: { ...STROKE_ID_FIELD, required: true },
+    points: {
+      type: 'array',
+      required: true,
+      maxItems: MAX_STROKE_BATCH_POINTS,
+      items: {
+        type: 'tuple',
+        items: [
+          { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE },
+          { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE },
+          { type: 'number', min: 0, max: MAX_STROKE_DELTA_TIME }
+        ]
+      }
+    }
+  },
+  strokeEnd: {
+    strokeId: { ...STROKE_ID_FIELD, required: true }
+  },
+  undoStroke: {
+    strokeId: { ...STROKE_ID_FIELD, required: true }
+  },
+  redoStroke: {
+    strokeId: { ...STROKE_ID_FIELD, required: true }
+  },
+  mousePosition: {
+    x: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+    y: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+    // Sender's view (world point at screen center, zoom, window size), sent while someone follows them
+    view: {
+      type: 'object',
+      fields: {
+        x: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+        y: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE, required: true },
+        zoom: { type: 'number', min: 0.001, max: MAX_VIEW_ZOOM, required: true },
+        width: { type: 'number', min: 1, max: MAX_VIEWPORT_SIZE, required: true },
+        height: { type: 'number', min: 1, max: MAX_VIEWPORT_SIZE, required: true }
+      }
+    },
+    ...SETTINGS_FIELDS
+  },
+  // Owner only: let a participant draw or make them a spectator
+  setRole: {
+    targetId: { type: 'string', maxLength: 64, pattern: CLIENT_ID_PATTERN, required: true },
+    role: { type: 'enum', values: ['drawer', 'spectator'], required: true }
+  },
+  // Answer an open clear vote; anyone in the room may vote, spectators included
+  clearVote: {
+    approve: { type: 'enum', values: [true, false], required: true }
+  },
+  // Owner only: change how the room's canvas may be cleared
+  setClearPolicy: {
+    policy: { type: 'enum', values: CLEAR_POLICIES, required: true }
+  },
+  // Follow another participant's view; omit targetId to stop following
+  follow: {
+    targetId: { type: 'string', maxLength: 64, pattern: CLIENT_ID_PATTERN }
+  },
+  setWireFormat: {
+    format: { type: 'enum', values: ['json', 'binary'], required: true },
+    version: { type: 'number', min: 1, max: 255 }
+  },
+  clear: {},
+  // clientTime is echoed back so the client can estimate its offset from the server clock
+  ping: {
+    clientTime: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER }
+  }
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Normalize #rgb, #rrggbb and rgb(r, g, b) to lowercase #rrggbb; returns null for anything else
+function normalizeColor(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (HEX_COLOR_PATTERN.test(trimmed)) {
+    const hex = trimmed.slice(1).toLowerCase();
+    return hex.length === 3
+      ? `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`
+      : `#${hex}`;
+  }
+
+  const rgbMatch = trimmed.match(RGB_COLOR_PATTERN);
+  if (rgbMatch) {
+    const channels = rgbMatch.slice(1, 4).map(Number);
+    if (channels.some((channel) => channel > 255)) {
+      return null;
+    }
+    return `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  return null;
+}
+
+// Validate a single field against its spec; returns { value } or { reason }
+function validateField(spec, value, path) {
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { reason: `${path} must be a finite number` };
+      }
+      if (value < spec.min || value > spec.max) {
+        return { reason: `${path} must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    case 'color': {
+      const color = normalizeColor(value);
+      if (!color) {
+        return { reason: `${path} must be a hex (#rgb, #rrggbb) or rgb(r, g, b) color` };
+      }
+      return { value: color };
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        return { reason: `${path} must be one of: ${spec.values.join(', ')}` };
+      }
+      return { value };
+    case 'string':
+      if (typeof value !== 'string') {
+        return { reason: `${path} must be a string` };
+      }
+      if (value.trim().length > spec.maxLength) {
+        return { reason: `${path} must be at most ${spec.maxLength} characters` };
+      }
+      if (spec.pattern && !spec.pattern.test(value.trim())) {
+        return { reason: `${path} has an invalid format` };
+      }
+      return { value: value.trim() };
+    case 'array': {
+      if (!Array.isArray(value) || value.length === 0) {
+        return { reason: `${path} must be a non-empty array` };
+      }
+      if (value.length > spec.maxItems) {
+        return { reason: `${path} must have at most ${spec.maxItems} items` };
+      }
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = validateField(spec.items, value[i], `${path}[${i}]`);
+        if (result.reason) {
+          return result;
+        }
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case 'tuple': {
+      if (!Array.isArray(value) || value.length !== spec.items.length) {
+        return { reason: `${path} must be an array of ${spec.items.length} values` };
+      }
+      const items = [];
+      for (let i = 0; i < spec.items.length; i++) {
+        const result = validateField(spec.items[i], value[i], `${path}[${i}]`);
+        if (result.reason) {
+          return { field: `${path}[${i}]`, reason: result.reason };
+        }
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case 'object': {
+      if (!isPlainObject(value)) {
+        return { reason: `${path} must be an object` };
+      }
+      const result = validateFields(spec.fields, value, `${path}.`);
+      return result.field ? result : { value: result.value };
+    }
+    default:
+      return { reason: `${path} has an unsupported type` };
+  }
+}
+
+// Validate known fields and drop unknown ones; returns { value } or { field, reason }
+function validateFields(fields, input, prefix = '') {
+  const value = {};
+  const names = Object.keys(fields);
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const spec = fields[name];
+    const path = `${prefix}${name}`;
+
+    if (!hasOwn(input, name) || input[name] === undefined || input[name] === null) {
+      if (spec.required) {
+        return { field: path, reason: `${path} is required` };
+      }
+      continue;
+    }
+
+    const result = validateField(spec, input[name], path);
+    if (result.reason) {
+      return { field: result.field || path, reason: result.reason };
+    }
+    value[name] = result.value;
+  }
+  return { value };
+}
+
+// Check an inbound message against MESSAGE_SCHEMAS
+// Returns { valid, messageType, message } or { valid: false, messageType, field, reason }
+// Unrecognized messages report messageType 'default' so they share the default rate budget
+function validateMessage(data) {
+  if (!isPlainObject(data) || typeof data.type !== 'string') {
+    return { valid: false, messageType: 'default', field: 'type', reason: 'type must be a string' };
+  }
+  if (!hasOwn(MESSAGE_SCHEMAS, data.type)) {
+    return { valid: false, messageType: 'default', field: 'type', reason: `Unknown message type: ${data.type.slice(0, 32)}` };
+  }
+
+  const result = validateFields(MESSAGE_SCHEMAS[data.type], data);
+  if (result.field) {
+    return { valid: false, messageType: data.type, field: result.field, reason: result.reason };
+  }
+
+  return {
+    valid: true,
+    messageType: data.type,
+    message: { type: data.type, ...result.value }
+  };
+}
+
+/*
+ * Binary frames are little-endian; coordinates are int32 and stroke deltas int16, both
+ * scaled by BINARY_COORDINATE_SCALE. Server -> client frames name the sender by its
+ * numeric wireId (announced in welcome/clientJoined) instead of the string client id, and
+ * stamp it with time, the server timestamp in ms since BINARY_TIME_BASE (modulo 2^32):
+ *   mousePosition: op u8, wireId u32, time u32, x i32, y i32, r u8, g u8, b u8, size u8, glow u8, flags u8, [view]
+ *   lightTrail:    the mousePosition layout (without view) followed by strokeId
+ *   strokePoints:  op u8, wireId u32, time u32, fromX i32, fromY i32, strokeId, count u8, count x (dx i16, dy i16, dt u16)
+ * Client -> server frames omit the wireId and settings (those travel in updateSettings):
+ *   mousePosition: op u8, x i32, y i32, [view]
+ *   strokePoints:  op u8, strokeId, count u8, count x (dx i16, dy i16, dt u16)
+ * A strokeId is a u8 length followed by that many ASCII bytes (length 0 means none).
+ * The optional view block (14 bytes) is: x i32, y i32, zoom u16 (x1000), width u16, height u16.
+ */
+const BINARY_VIEW_BYTES = 14;
+
+function writeBinaryView(buffer, offset, view) {
+  buffer.writeInt32LE(Math.round(view.x * BINARY_COORDINATE_SCALE), offset);
+  buffer.writeInt32LE(Math.round(view.y * BINARY_COORDINATE_SCALE), offset + 4);
+  buffer.writeUInt16LE(Math.min(0xffff, Math.round(view.zoom * 1000)), offset + 8);
+  buffer.writeUInt16LE(Math.min(0xffff, Math.round(view.width)), offset + 10);
+  buffer.writeUInt16LE(Math.min(0xffff, Math.round(view.height)), offset + 12);
+}
+
+function readBinaryView(buffer, offset) {
+  return {
+    x: buffer.readInt32LE(offset) / BINARY_COORDINATE_SCALE,
+    y: buffer.readInt32LE(offset + 4) / BINARY_COORDINATE_SCALE,
+    zoom: buffer.readUInt16LE(offset + 8) / 1000,
+    width: buffer.readUInt16LE(offset + 10),
+    height: buffer.readUInt16LE(offset + 12)
+  };
+}
+
+function encodeBinaryMessage(data, senderInfo) {
+  if (!hasOwn(BINARY_OPCODES, data.type) || !senderInfo || typeof senderInfo.wireId !== 'number') {
+    return null;
+  }
+
+  const strokeId = Buffer.from(data.strokeId || '', 'latin1');
+  const writeHeader = (buffer) => {
+    buffer.writeUInt8(BINARY_OPCODES[data.type], 0);
+    buffer.writeUInt32LE(senderInfo.wireId, 1);
+    buffer.writeUInt32LE(((data.timestamp ?? Date.now()) - BINARY_TIME_BASE) >>> 0, 5);
+  };
+
+  if (data.type === 'strokePoints') {
+    const deltas = data.points.map(([dx, dy, dt]) => [
+      Math.round(dx * BINARY_COORDINATE_SCALE),
+      Math.round(dy * BINARY_COORDINATE_SCALE),
+      Math.round(dt)
+    ]);
+    // Deltas too large for int16 fall back to JSON for this message
+    if (deltas.some(([dx, dy]) => Math.abs(dx) > 0x7fff || Math.abs(dy) > 0x7fff)) {
+      return null;
+    }
+    const buffer = Buffer.alloc(19 + strokeId.length + deltas.length * 6);
+    writeHeader(buffer);
+    buffer.writeInt32LE(Math.round(data.from.x * BINARY_COORDINATE_SCALE), 9);
+    buffer.writeInt32LE(Math.round(data.from.y * BINARY_COORDINATE_SCALE), 13);
+    let offset = 17;
+    buffer.writeUInt8(strokeId.length, offset);
+    strokeId.copy(buffer, offset + 1);
+    offset += 1 + strokeId.length;
+    buffer.writeUInt8(deltas.length, offset);
+    offset += 1;
+    deltas.forEach(([dx, dy, dt]) => {
+      buffer.writeInt16LE(dx, offset);
+      buffer.writeInt16LE(dy, offset + 2);
+      buffer.writeUInt16LE(dt, offset + 4);
+      offset += 6;
+    });
+    return buffer;
+  }
+
+  const position = data.type === 'lightTrail' ? data.trail : data;
+  const color = normalizeColor(data.color) || DEFAULT_SETTINGS.color;
+  const size = position.size ?? data.size ?? DEFAULT_SETTINGS.size;
+  const glow = position.glow ?? data.glow ?? DEFAULT_SETTINGS.glow;
+  const viewBytes = data.type === 'mousePosition' && data.view ? BINARY_VIEW_BYTES : 0;
+  const buffer = Buffer.alloc(data.type === 'lightTrail' ? 24 + strokeId.length : 23 + viewBytes);
+  writeHeader(buffer);
+  buffer.writeInt32LE(Math.round(position.x * BINARY_COORDINATE_SCALE), 9);
+  buffer.writeInt32LE(Math.round(position.y * BINARY_COORDINATE_SCALE), 13);
+  buffer.write(color.slice(1), 17, 3, 'hex');
+  buffer.writeUInt8(Math.round(clamp(size, 0.5, 3) * BINARY_SETTINGS_SCALE), 20);
+  buffer.writeUInt8(Math.round(clamp(glow, 0.5, 3) * BINARY_SETTINGS_SCALE), 21);
+  buffer.writeUInt8(data.cursorMode === 'star' ? BINARY_FLAG_STAR_CURSOR : 0, 22);
+  if (data.type === 'lightTrail') {
+    buffer.writeUInt8(strokeId.length, 23);
+    strokeId.copy(buffer, 24);
+  }
+  if (viewBytes) {
+    writeBinaryView(buffer, 23, data.view);
+  }
+  return buffer;
+}
+
+// Decode a client -> server binary frame into the equivalent JSON message; returns null when malformed
+function decodeBinaryMessage(buffer) {
+  try {
+    const opcode = buffer.readUInt8(0);
+    if (opcode === BINARY_OPCODES.mousePosition && (buffer.length === 9 || buffer.length === 9 + BINARY_VIEW_BYTES)) {
+      const message = {
+        type: 'mousePosition',
+        x: buffer.readInt32LE(1) / BINARY_COORDINATE_SCALE,
+        y: buffer.readInt32LE(5) / BINARY_COORDINATE_SCALE
+      };
+      if (buffer.length > 9) {
+        message.view = readBinaryView(buffer, 9);
+      }
+      return message;
+    }
+
+    if (opcode === BINARY_OPCODES.strokePoints) {
+      const strokeIdLength = buffer.readUInt8(1);
+      const strokeId = buffer.toString('latin1', 2, 2 + strokeIdLength);
+      let offset = 2 + strokeIdLength;
+      const count = buffer.readUInt8(offset);
+      offset += 1;
+      if (buffer.length !== offset + count * 6) {
+        return null;
+      }
+      const points = [];
+      for (let i = 0; i < count; i++, offset += 6) {
+        points.push([
+          buffer.readInt16LE(offset) / BINARY_COORDINATE_SCALE,
+          buffer.readInt16LE(offset + 2) / BINARY_COORDINATE_SCALE,
+          buffer.readUInt16LE(offset + 4)
+        ]);
+      }
+      return { type: 'strokePoints', strokeId, points };
+    }
+  } catch (error) {
+    // Truncated frames make the reads above throw
+  }
+  return null;
+}
+
+let nextWireId = 1;
+
+// Numeric id used in place of the client id inside binary frames
+function allocateWireId() {
+  const wireId = nextWireId;
+  nextWireId = nextWireId >= 0xffffffff ? 1 : nextWireId + 1;
+  return wireId;
+}
+
+// Merge RATE_LIMITS env overrides (JSON, e.g. {"lightTrail":{"rate":60,"burst":120}}) into defaults
+function loadRateLimits() {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  if (!process.env.RATE_LIMITS) {
+    return limits;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    Object.keys(overrides).forEach((type) => {
+      const override = overrides[type] || {};
+      const base = limits[type] || DEFAULT_RATE_LIMITS.default;
+      const rate = Number(override.rate);
+      const burst = Number(override.burst);
+      limits[type] = {
+        rate: Number.isFinite(rate) && rate > 0 ? rate : base.rate,
+        burst: Number.isFinite(burst) && burst >= 1 ? burst : base.burst
+      };
+    });
+  } catch (error) {
+    console.error('Invalid RATE_LIMITS configuration, using defaults:', error.message);
+  }
+
+  return limits;
+}
+
+function createRateLimiter() {
+  return {
+    buckets: new Map(),
+    violations: 0,
+    windowStart: Date.now(),
+    lastErrorAt: 0,
+    pendingMousePosition: null,
+    flushTimeout: null
+  };
+}
+
+function getBucket(limiter, type) {
+  const key = hasOwn(RATE_LIMITS, type) ? type : 'default';
+  let bucket = limiter.buckets.get(key);
+  if (!bucket) {
+    const { rate, burst } = RATE_LIMITS[key];
+    bucket = { rate, burst, tokens: burst, lastRefill: Date.now() };
+    limiter.buckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+function refillBucket(bucket, now) {
+  const elapsed = (now - bucket.lastRefill) / 1000;
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.rate);
+  bucket.lastRefill = now;
+}
+
+// Consume one token for a message type; returns false when over budget
+function takeToken(limiter, type, now = Date.now()) {
+  const bucket = getBucket(limiter, type);
+  refillBucket(bucket, now);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return true;
+  }
+  return false;
+}
+
+// Milliseconds until the bucket for a message type holds a full token again
+function msUntilToken(limiter, type) {
+  const bucket = getBucket(limiter, type);
+  refillBucket(bucket, Date.now());
+  return Math.max(0, Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+}
+
+// Count a dropped message; returns true once the client has crossed the abuse threshold
+function recordViolation(limiter, now = Date.now()) {
+  if (now - limiter.windowStart > ABUSE_WINDOW) {
+    limiter.windowStart = now;
+    limiter.violations = 0;
+  }
+  limiter.violations++;
+  return limiter.violations > ABUSE_MAX_VIOLATIONS;
+}
+
 function sanitizeSettings(settings = {}, fallback = DEFAULT_SETTINGS) {
   const sanitized = {};
 
-  sanitized.color = typeof settings.color === 'string' && settings.color.trim()
-    ? settings.color.trim()
-    : fallback.color || DEFAULT_SETTINGS.color;
+  sanitized.color = normalizeColor(settings.color)
+    || normalizeColor(fallback.color)
+    || DEFAULT_SETTINGS.color;
 
   const sizeValue = typeof settings.size === 'number' ? settings.size : fallback.size;
   sanitized.size = clamp(sizeValue ?? DEFAULT_SETTINGS.size, 0.5, 3);
@@ -96,39 +1005,978 @@ function sanitizeSettings(settings = {}, fallback = DEFAULT_SETTINGS) {
   return sanitized;
 }
 
-wss.on('connection', (ws, req) => {
-  const clientId = generateClientId();
-  const clientInfo = {
-    id: clientId,
-    ip: req.socket.remoteAddress,
-    connectedAt: Date.now(),
-    lastPing: Date.now()
-  };
-  clientInfo.metadata = {
-    ...(clientInfo.metadata || {}),
-    settings: sanitizeSettings(clientInfo.metadata?.settings || {}, DEFAULT_SETTINGS)
-  };
-  
-  clients.set(ws, clientInfo);
-  console.log(`New client connected: ${clientId} from ${clientInfo.ip}`);
-  console.log(`Total clients: ${clients.size}`);
+// Sanitize incoming settings for a client and pin the identity fields it may not change
+function applyClientSettings(clientInfo, data) {
+  clientInfo.metadata = clientInfo.metadata || {};
+  const previousSettings = clientInfo.metadata.settings || DEFAULT_SETTINGS;
+  const sanitized = sanitizeSettings(data, previousSettings);
 
-  // Set connection as alive
-  ws.isAlive = true;
+  if (clientInfo.auth) {
+    sanitized.username = clientInfo.auth.username;
+  } else if (isReservedUsername(sanitized.username)) {
+    sanitized.username = isReservedUsername(previousSettings.username) ? '' : (previousSettings.username || '');
+  }
 
-  // Handle pong responses for heartbeat
-  ws.on('pong', () => {
-    ws.isAlive = true;
-    const clientInfo = clients.get(ws);
-    if (clientInfo) {
-      clientInfo.lastPing = Date.now();
-    }
-  });
+  clientInfo.metadata.settings = sanitized;
+  return sanitized;
+}
 
-  // Snapshot existing client settings for newcomer
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Verify an HS256 JWT; returns { auth: { userId, username } } or { error }
+function verifyAuthToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return { error: 'Malformed token' };
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (error) {
+    return { error: 'Malformed token' };
+  }
+
+  if (!isPlainObject(header) || header.alg !== 'HS256' || !isPlainObject(payload)) {
+    return { error: 'Unsupported token' };
+  }
+
+  const expected = crypto.createHmac('sha256', AUTH_SECRET).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = base64UrlDecode(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'Invalid token signature' };
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && payload.exp <= nowSeconds - AUTH_CLOCK_SKEW_SECONDS) {
+    return { error: 'Token expired' };
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > nowSeconds + AUTH_CLOCK_SKEW_SECONDS) {
+    return { error: 'Token not yet valid' };
+  }
+  if (typeof payload.sub !== 'string' || !payload.sub.trim()) {
+    return { error: 'Token is missing a subject' };
+  }
+
+  const userId = payload.sub.trim().slice(0, 128);
+  const rawName = typeof payload.name === 'string' ? payload.name : payload.username;
+  const username = typeof rawName === 'string' && rawName.trim()
+    ? rawName.trim().slice(0, MAX_USERNAME_LENGTH)
+    : userId.slice(0, MAX_USERNAME_LENGTH);
+
+  return { auth: { userId, username } };
+}
+
+// Resolve the identity for an upgrade request carrying ?token=<jwt>
+// Returns { auth } (null for anonymous clients) or { error } when the connection must be refused
+function authenticateRequest(req) {
+  if (!AUTH_ENABLED) {
+    return { auth: null };
+  }
+
+  let token = null;
+  try {
+    token = new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+  } catch (error) {
+    token = null;
+  }
+
+  if (!token) {
+    return AUTH_REQUIRED ? { error: 'Authentication required' } : { auth: null };
+  }
+
+  // A bad token is always refused, even when anonymous access is allowed
+  return verifyAuthToken(token);
+}
+
+// Names held by authenticated users cannot be claimed by anyone else
+function isReservedUsername(username) {
+  if (!AUTH_ENABLED || !username) {
+    return false;
+  }
+
+  const normalized = username.trim().toLowerCase();
+  let reserved = false;
+  clients.forEach((info) => {
+    if (info.auth && info.auth.username.toLowerCase() === normalized) {
+      reserved = true;
+    }
+  });
+  return reserved;
+}
+
+// Strip a newly authenticated name from anonymous clients already using it
+function releaseReservedUsername(authInfo) {
+  const normalized = authInfo.auth.username.toLowerCase();
+  clients.forEach((info, ws) => {
+    const settings = info.metadata && info.metadata.settings;
+    if (info.auth || !settings || (settings.username || '').toLowerCase() !== normalized) {
+      return;
+    }
+
+    settings.username = '';
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'settingsAck',
+        settings
+      }));
+    }
+    broadcast(info.room, {
+      type: 'userSettings',
+      clientId: info.id,
+      settings
+    }, ws);
+  });
+}
+
+// IPv4 clients show up as ::ffff:a.b.c.d on dual-stack sockets
+function normalizeIp(ip) {
+  return typeof ip === 'string' ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '') : null;
+}
+
+// Only trust X-Forwarded-For when told to, and only its last hop: everything to the left of
+// the address our proxy appended was sent by the client and can say anything
+function getClientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const lastHop = typeof forwarded === 'string' ? forwarded.split(',').pop().trim() : '';
+    if (lastHop) {
+      return normalizeIp(lastHop);
+    }
+  }
+  return normalizeIp(req.socket.remoteAddress);
+}
+
+// Active bans: [{ id, ip, userId, reason, createdAt }]
+let bans = loadBans();
+
+function loadBans() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(BANS_FILE, 'utf8'));
+    return Array.isArray(parsed) ? parsed.filter((ban) => isPlainObject(ban) && (ban.ip || ban.userId)) : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Unable to read bans from ${BANS_FILE}:`, error.message);
+    }
+    return [];
+  }
+}
+
+// Write to a temporary file first so a crash never leaves a truncated ban list
+function saveBans() {
+  const tempFile = `${BANS_FILE}.tmp`;
+  fs.writeFile(tempFile, JSON.stringify(bans, null, 2), (err) => {
+    if (err) {
+      console.error(`Unable to write bans to ${BANS_FILE}:`, err.message);
+      return;
+    }
+    fs.rename(tempFile, BANS_FILE, (renameErr) => {
+      if (renameErr) {
+        console.error(`Unable to write bans to ${BANS_FILE}:`, renameErr.message);
+      }
+    });
+  });
+}
+
+function addBan({ ip, userId, reason }) {
+  const ban = {
+    id: crypto.randomBytes(6).toString('hex'),
+    ip: ip || null,
+    userId: userId || null,
+    reason: reason || '',
+    createdAt: Date.now()
+  };
+  bans.push(ban);
+  saveBans();
+  console.log(`Ban ${ban.id} added (ip: ${ban.ip || '-'}, user: ${ban.userId || '-'})`);
+  return ban;
+}
+
+function removeBan(banId) {
+  const ban = bans.find((entry) => entry.id === banId);
+  if (!ban) {
+    return null;
+  }
+  bans = bans.filter((entry) => entry !== ban);
+  saveBans();
+  console.log(`Ban ${ban.id} lifted`);
+  return ban;
+}
+
+function findBan(ip, userId) {
+  const normalizedIp = normalizeIp(ip);
+  return bans.find((ban) => (ban.ip && ban.ip === normalizedIp) || (ban.userId && ban.userId === userId)) || null;
+}
+
+// Disconnect everyone a new ban matches; returns their client ids
+function enforceBan(ban) {
+  const disconnected = [];
+  clients.forEach((info, ws) => {
+    const userId = info.auth ? info.auth.userId : null;
+    if ((ban.ip && normalizeIp(info.ip) === ban.ip) || (ban.userId && ban.userId === userId)) {
+      disconnectClient(ws, 'banned', ban.reason || 'You have been banned', BAN_CLOSE_CODE);
+      disconnected.push(info.id);
+    }
+  });
+  return disconnected;
+}
+
+function findClientById(clientId) {
+  for (const [ws, info] of clients) {
+    if (info.id === clientId) {
+      return { ws, info };
+    }
+  }
+  return null;
+}
+
+function listConnections() {
+  const now = Date.now();
+  return Array.from(clients.values()).map((info) => ({
+    clientId: info.id,
+    room: info.room,
+    ip: normalizeIp(info.ip),
+    username: info.metadata?.settings?.username || '',
+    userId: info.auth ? info.auth.userId : null,
+    role: info.role,
+    connectedAt: info.connectedAt,
+    mutedUntil: info.mutedUntil > now ? info.mutedUntil : null
+  }));
+}
+
+// Tell the client why before closing; the close handler does the room cleanup
+function disconnectClient(ws, code, message, closeCode) {
+  const info = clients.get(ws);
+  console.log(`Disconnecting ${info ? info.id : 'unknown client'}: ${code} (${message})`);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+  }
+  ws.close(closeCode, message.slice(0, 100));
+}
+
+// Mutes follow the user id (or ip for anonymous clients, see getClientIp) and last until they
+// expire, so reloading or reconnecting does not lift them: key -> until
+const mutes = new Map();
+
+function getModerationKey(ip, auth) {
+  return auth ? `user:${auth.userId}` : `ip:${normalizeIp(ip)}`;
+}
+
+function getMutedUntil(ip, auth, now = Date.now()) {
+  const key = getModerationKey(ip, auth);
+  const until = mutes.get(key) || 0;
+  if (until && until <= now) {
+    mutes.delete(key);
+    return 0;
+  }
+  return until;
+}
+
+function isMuted(clientInfo, now = Date.now()) {
+  return clientInfo.mutedUntil > now;
+}
+
+function sendMuteState(ws, clientInfo, reason) {
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  ws.send(JSON.stringify({
+    type: 'muted',
+    until: clientInfo.mutedUntil || null,
+    remaining: Math.max(0, clientInfo.mutedUntil - Date.now()),
+    reason: reason || ''
+  }));
+}
+
+// Mute (or unmute with 0) the client and every other connection of the same user; returns the until time
+function muteClient(clientInfo, durationMs, reason) {
+  const key = getModerationKey(clientInfo.ip, clientInfo.auth);
+  const until = durationMs > 0 ? Date.now() + durationMs : 0;
+  if (until) {
+    mutes.set(key, until);
+  } else {
+    mutes.delete(key);
+  }
+  clients.forEach((info, ws) => {
+    if (getModerationKey(info.ip, info.auth) !== key) {
+      return;
+    }
+    info.mutedUntil = until;
+    info.activeStrokes.clear();
+    sendMuteState(ws, info, reason);
+  });
+  console.log(`${key} ${until ? `muted for ${Math.round(durationMs / 60000)} min` : 'unmuted'}`);
+  return until || null;
+}
+
+// Normalize a requested room name to a safe identifier
+function sanitizeRoomName(value) {
+  if (typeof value !== 'string') {
+    return DEFAULT_ROOM;
+  }
+
+  const normalized = value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_ROOM_NAME_LENGTH);
+
+  return normalized || DEFAULT_ROOM;
+}
+
+// Read the role from the upgrade request; ?role=spectator is the only override of the default
+function getRequestedRole(req) {
+  try {
+    const url = new URL(req.url || '/', 'http://localhost');
+    return url.searchParams.get('role') === 'spectator' ? 'spectator' : ROOM_DEFAULT_ROLE;
+  } catch (error) {
+    return ROOM_DEFAULT_ROLE;
+  }
+}
+
+// Read the room name from the upgrade request (e.g. /?room=design-review)
+function getRoomFromRequest(req) {
+  try {
+    const url = new URL(req.url || '/', 'http://localhost');
+    return sanitizeRoomName(url.searchParams.get('room'));
+  } catch (error) {
+    return DEFAULT_ROOM;
+  }
+}
+
+function joinRoom(ws, roomName) {
+  if (!rooms.has(roomName)) {
+    rooms.set(roomName, new Set());
+    console.log(`Room created: ${roomName}`);
+    scheduleRoomSkyEvent(roomName);
+  }
+  rooms.get(roomName).add(ws);
+}
+
+function leaveRoom(ws, roomName) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return;
+  }
+
+  room.delete(ws);
+  if (room.size === 0) {
+    rooms.delete(roomName);
+    closeHistoryLog(roomName);
+    resetClearState(roomName);
+    cancelRoomSkyEvent(roomName);
+    console.log(`Room closed: ${roomName}`);
+  }
+}
+
+function getRoomSize(roomName) {
+  const room = rooms.get(roomName);
+  return room ? room.size : 0;
+}
+
+function findRoomClient(roomName, clientId) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return null;
+  }
+  for (const ws of room) {
+    const info = clients.get(ws);
+    if (info && info.id === clientId) {
+      return info;
+    }
+  }
+  return null;
+}
+
+function findRoomOwner(roomName) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return null;
+  }
+  for (const ws of room) {
+    const info = clients.get(ws);
+    if (info && info.role === 'owner') {
+      return info;
+    }
+  }
+  return null;
+}
+
+function canDraw(clientInfo) {
+  return clientInfo.role === 'owner' || clientInfo.role === 'drawer';
+}
+
+function setClientRole(roomName, clientInfo, role) {
+  clientInfo.role = role;
+  if (!canDraw(clientInfo)) {
+    clientInfo.activeStrokes.clear();
+  }
+  broadcast(roomName, {
+    type: 'roleChanged',
+    clientId: clientInfo.id,
+    role
+  });
+}
+
+// Hand a room whose owner left to the longest-connected drawer, or to anyone left if only spectators remain
+function transferRoomOwnership(roomName) {
+  const room = rooms.get(roomName);
+  if (!room || findRoomOwner(roomName)) {
+    return;
+  }
+  let successor = null;
+  room.forEach((ws) => {
+    const info = clients.get(ws);
+    if (!info) {
+      return;
+    }
+    const better = !successor
+      || (canDraw(info) && !canDraw(successor))
+      || (canDraw(info) === canDraw(successor) && info.connectedAt < successor.connectedAt);
+    if (better) {
+      successor = info;
+    }
+  });
+  if (successor) {
+    console.log(`Room ${roomName} is now owned by ${successor.id}`);
+    setClientRole(roomName, successor, 'owner');
+  }
+}
+
+function getFollowerCount(roomName, leaderId) {
+  let count = 0;
+  const room = rooms.get(roomName);
+  if (room) {
+    room.forEach((ws) => {
+      const info = clients.get(ws);
+      if (info && info.following === leaderId) {
+        count++;
+      }
+    });
+  }
+  return count;
+}
+
+// Everyone in the room learns how many people follow a leader; the leader uses it to start or stop sending its view
+function broadcastFollowerCount(roomName, leaderId) {
+  broadcast(roomName, {
+    type: 'followers',
+    clientId: leaderId,
+    count: getFollowerCount(roomName, leaderId)
+  });
+}
+
+// Drop buffered trail points that have outlived the backfill window
+function pruneRecentTrail(clientInfo, now = Date.now()) {
+  if (!clientInfo.recentTrail) {
+    clientInfo.recentTrail = [];
+    return clientInfo.recentTrail;
+  }
+
+  const cutoff = now - TRAIL_BACKFILL_WINDOW;
+  let firstActive = 0;
+  while (firstActive < clientInfo.recentTrail.length && clientInfo.recentTrail[firstActive].timestamp < cutoff) {
+    firstActive++;
+  }
+  if (firstActive > 0) {
+    clientInfo.recentTrail.splice(0, firstActive);
+  }
+  if (clientInfo.recentTrail.length > TRAIL_BACKFILL_MAX_POINTS) {
+    clientInfo.recentTrail.splice(0, clientInfo.recentTrail.length - TRAIL_BACKFILL_MAX_POINTS);
+  }
+  return clientInfo.recentTrail;
+}
+
+function recordRecentTrail(clientInfo, point) {
+  pruneRecentTrail(clientInfo, point.timestamp).push(point);
+}
+
+// Collect recent trail points from everyone else in the room for a newcomer
+function getRecentTrailsSnapshot(roomName, excludeClientId) {
+  const now = Date.now();
+  const snapshot = [];
+  const room = rooms.get(roomName);
+  if (!room) {
+    return snapshot;
+  }
+
+  room.forEach((ws) => {
+    const info = clients.get(ws);
+    if (!info || info.id === excludeClientId) {
+      return;
+    }
+    const points = pruneRecentTrail(info, now);
+    if (points.length > 0) {
+      snapshot.push({
+        clientId: info.id,
+        points: points.slice()
+      });
+    }
+  });
+
+  return snapshot;
+}
+
+// Move an undone stroke out of the backfill buffer so newcomers don't see it
+function undoRecentStroke(clientInfo, strokeId) {
+  const recentTrail = pruneRecentTrail(clientInfo);
+  const removed = recentTrail.filter((point) => point.strokeId === strokeId);
+  if (removed.length === 0) {
+    return;
+  }
+  clientInfo.recentTrail = recentTrail.filter((point) => point.strokeId !== strokeId);
+  clientInfo.undoneStrokes.set(strokeId, removed);
+
+  // Only the most recent undos can be redone
+  if (clientInfo.undoneStrokes.size > 50) {
+    clientInfo.undoneStrokes.delete(clientInfo.undoneStrokes.keys().next().value);
+  }
+}
+
+// Put a redone stroke back, shifted so it ends now like it does on every client
+function redoRecentStroke(clientInfo, strokeId, now = Date.now()) {
+  const points = clientInfo.undoneStrokes.get(strokeId);
+  if (!points) {
+    return;
+  }
+  clientInfo.undoneStrokes.delete(strokeId);
+
+  const shift = now - points[points.length - 1].timestamp;
+  const restored = points.map((point) => ({ ...point, timestamp: point.timestamp + shift }));
+  clientInfo.recentTrail = pruneRecentTrail(clientInfo, now)
+    .concat(restored)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  pruneRecentTrail(clientInfo, now);
+}
+
+function clearRecentTrails(roomName) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return;
+  }
+  room.forEach((ws) => {
+    const info = clients.get(ws);
+    if (info) {
+      info.recentTrail = [];
+    }
+  });
+}
+
+// Clear policy and any open vote per room: roomName -> { policy, vote }
+const roomClearStates = new Map();
+
+function getClearState(roomName) {
+  if (!roomClearStates.has(roomName)) {
+    roomClearStates.set(roomName, { policy: DEFAULT_CLEAR_POLICY, vote: null });
+  }
+  return roomClearStates.get(roomName);
+}
+
+function resetClearState(roomName) {
+  const state = roomClearStates.get(roomName);
+  if (state && state.vote) {
+    clearTimeout(state.vote.timeout);
+  }
+  roomClearStates.delete(roomName);
+}
+
+// Wipe the whole room; the requester gets the broadcast too because nothing is cleared until the server agrees
+function clearRoomCanvas(roomName, clientId) {
+  const timestamp = Date.now();
+  clearRecentTrails(roomName);
+  appendHistory(roomName, { type: 'clear', clientId, timestamp });
+  broadcast(roomName, { type: 'clear', clientId, timestamp });
+}
+
+function clearOwnStrokes(roomName, clientInfo) {
+  const timestamp = Date.now();
+  clientInfo.recentTrail = [];
+  clientInfo.undoneStrokes.clear();
+  appendHistory(roomName, { type: 'clear', clientId: clientInfo.id, scope: 'own', timestamp });
+  broadcast(roomName, { type: 'clear', clientId: clientInfo.id, scope: 'own', timestamp });
+}
+
+// A vote passes once a majority of everyone connected (spectators included) approves
+function describeClearVote(roomName, vote) {
+  const total = getRoomSize(roomName);
+  return {
+    initiatorId: vote.initiatorId,
+    approvals: vote.approvals.size,
+    rejections: vote.rejections.size,
+    needed: Math.floor(total / 2) + 1,
+    total,
+    expiresAt: vote.expiresAt,
+    voters: Array.from(vote.approvals).concat(Array.from(vote.rejections))
+  };
+}
+
+function broadcastClearVote(roomName, vote, status) {
+  broadcast(roomName, {
+    type: 'clearVote',
+    status,
+    ...describeClearVote(roomName, vote)
+  });
+}
+
+function endClearVote(roomName, status) {
+  const state = roomClearStates.get(roomName);
+  const vote = state && state.vote;
+  if (!vote) {
+    return null;
+  }
+  clearTimeout(vote.timeout);
+  state.vote = null;
+  broadcastClearVote(roomName, vote, status);
+  console.log(`Clear vote in room ${roomName} ${status} (${vote.approvals.size}/${getRoomSize(roomName)})`);
+  return vote;
+}
+
+// Close the vote as soon as its outcome is certain, otherwise publish the new tally
+function settleClearVote(roomName) {
+  const state = roomClearStates.get(roomName);
+  const vote = state && state.vote;
+  if (!vote) {
+    return;
+  }
+  const { needed, total } = describeClearVote(roomName, vote);
+  if (vote.approvals.size >= needed) {
+    endClearVote(roomName, 'passed');
+    clearRoomCanvas(roomName, vote.initiatorId);
+  } else if (total - vote.rejections.size < needed) {
+    endClearVote(roomName, 'failed');
+  } else {
+    broadcastClearVote(roomName, vote, 'open');
+  }
+}
+
+function startClearVote(roomName, initiatorId) {
+  const state = getClearState(roomName);
+  state.vote = {
+    initiatorId,
+    approvals: new Set([initiatorId]),
+    rejections: new Set(),
+    expiresAt: Date.now() + CLEAR_VOTE_WINDOW,
+    timeout: setTimeout(() => endClearVote(roomName, 'expired'), CLEAR_VOTE_WINDOW)
+  };
+  console.log(`${initiatorId} started a clear vote in room ${roomName}`);
+  settleClearVote(roomName);
+}
+
+function castClearVote(roomName, clientId, approve) {
+  const vote = getClearState(roomName).vote;
+  if (!vote) {
+    return false;
+  }
+  vote.approvals.delete(clientId);
+  vote.rejections.delete(clientId);
+  (approve ? vote.approvals : vote.rejections).add(clientId);
+  settleClearVote(roomName);
+  return true;
+}
+
+// Forget a departing client's ballot; the smaller room may also decide the vote
+function withdrawClearVote(roomName, clientId) {
+  const state = roomClearStates.get(roomName);
+  if (!state || !state.vote) {
+    return;
+  }
+  state.vote.approvals.delete(clientId);
+  state.vote.rejections.delete(clientId);
+  settleClearVote(roomName);
+}
+
+// Open room history logs: roomName -> { stream, sessionId, part, bytes }
+const historyLogs = new Map();
+
+function getRoomHistoryDir(roomName) {
+  // Room names are sanitized to [a-z0-9_-], so they are safe as directory names
+  return path.join(HISTORY_DIR, roomName);
+}
+
+// Log files are named <sessionId>-<part>.jsonl; a session starts when a room opens
+function openHistoryLog(roomName, sessionId, part) {
+  const roomDir = getRoomHistoryDir(roomName);
+  fs.mkdirSync(roomDir, { recursive: true });
+
+  const filePath = path.join(roomDir, `${sessionId}-${part}.jsonl`);
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  const log = { stream, sessionId, part, bytes: 0 };
+
+  stream.on('error', (error) => {
+    console.error(`History log error for room ${roomName}:`, error);
+    if (historyLogs.get(roomName) === log) {
+      historyLogs.delete(roomName);
+    }
+  });
+
+  historyLogs.set(roomName, log);
+  console.log(`History log opened: ${filePath}`);
+  return log;
+}
+
+// Append one event to the room's history, rotating to a new part when the file is full
+function appendHistory(roomName, record) {
+  if (!HISTORY_ENABLED) {
+    return;
+  }
+
+  try {
+    const line = `${JSON.stringify(record)}\n`;
+    const lineBytes = Buffer.byteLength(line);
+    let log = historyLogs.get(roomName);
+
+    if (!log) {
+      log = openHistoryLog(roomName, Date.now(), 1);
+    } else if (log.bytes > 0 && log.bytes + lineBytes > HISTORY_MAX_FILE_BYTES) {
+      log.stream.end();
+      log = openHistoryLog(roomName, log.sessionId, log.part + 1);
+      enforceHistoryRetention(roomName);
+    }
+
+    log.stream.write(line);
+    log.bytes += lineBytes;
+  } catch (error) {
+    console.error(`Unable to append history for room ${roomName}:`, error);
+  }
+}
+
+function closeHistoryLog(roomName) {
+  const log = historyLogs.get(roomName);
+  if (!log) {
+    return;
+  }
+  log.stream.end();
+  historyLogs.delete(roomName);
+}
+
+// Delete a room's log files past the retention age or beyond the per-room file limit
+function enforceHistoryRetention(roomName) {
+  const roomDir = getRoomHistoryDir(roomName);
+  fs.readdir(roomDir, (err, files) => {
+    if (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Unable to read history for room ${roomName}:`, err);
+      }
+      return;
+    }
+
+    const activeLog = historyLogs.get(roomName);
+    const activeFile = activeLog ? `${activeLog.sessionId}-${activeLog.part}.jsonl` : null;
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+
+    // Names start with the session timestamp, so sorting puts the newest first
+    const logFiles = files
+      .filter((file) => /^\d+-\d+\.jsonl$/.test(file))
+      .sort((a, b) => {
+        const [sessionA, partA] = a.split(/[-.]/).map(Number);
+        const [sessionB, partB] = b.split(/[-.]/).map(Number);
+        return sessionB - sessionA || partB - partA;
+      });
+
+    logFiles.forEach((file, index) => {
+      if (file === activeFile) {
+        return;
+      }
+      const filePath = path.join(roomDir, file);
+      fs.stat(filePath, (statErr, stats) => {
+        if (statErr) {
+          return;
+        }
+        if (index >= HISTORY_MAX_FILES_PER_ROOM || stats.mtimeMs < cutoff) {
+          fs.unlink(filePath, (unlinkErr) => {
+            if (unlinkErr) {
+              console.error(`Unable to delete history file ${filePath}:`, unlinkErr);
+            } else {
+              console.log(`History file removed by retention policy: ${filePath}`);
+            }
+          });
+        }
+      });
+    });
+  });
+}
+
+// Group a room's log files by session, newest session first
+function listSessions(roomName, callback) {
+  fs.readdir(getRoomHistoryDir(roomName), (err, files) => {
+    if (err) {
+      callback(err.code === 'ENOENT' ? null : err, []);
+      return;
+    }
+
+    const sessions = new Map();
+    files.forEach((file) => {
+      const match = file.match(/^(\d+)-(\d+)\.jsonl$/);
+      if (!match) {
+        return;
+      }
+      const sessionId = match[1];
+      const session = sessions.get(sessionId) || {
+        sessionId,
+        startedAt: Number(sessionId),
+        parts: 0,
+        active: historyLogs.get(roomName)?.sessionId === Number(sessionId)
+      };
+      session.parts++;
+      sessions.set(sessionId, session);
+    });
+
+    callback(null, Array.from(sessions.values()).sort((a, b) => b.startedAt - a.startedAt));
+  });
+}
+
+// Read one part file of a session (0 is the oldest); calls back with { events, parts, sessionEndedAt }.
+// sessionEndedAt is the last part's modification time, so clients know the session's length up front
+function readSessionPart(roomName, sessionId, partIndex, callback) {
+  const roomDir = getRoomHistoryDir(roomName);
+  fs.readdir(roomDir, (err, files) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const parts = files
+      .map((file) => file.match(/^(\d+)-(\d+)\.jsonl$/))
+      .filter((match) => match && match[1] === sessionId)
+      .sort((a, b) => Number(a[2]) - Number(b[2]))
+      .map((match) => path.join(roomDir, match[0]));
+
+    if (partIndex >= parts.length) {
+      const notFound = new Error('Session not found');
+      notFound.code = 'ENOENT';
+      callback(notFound);
+      return;
+    }
+
+    fs.readFile(parts[partIndex], 'utf8', (readErr, contents) => {
+      if (readErr) {
+        callback(readErr);
+        return;
+      }
+      const events = [];
+      contents.split('\n').forEach((line) => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          events.push(JSON.parse(line));
+        } catch (parseError) {
+          // A partially written trailing line is expected while a session is live
+        }
+      });
+      fs.stat(parts[parts.length - 1], (statErr, stats) => {
+        callback(null, {
+          events,
+          parts: parts.length,
+          sessionEndedAt: statErr ? null : Math.round(stats.mtimeMs)
+        });
+      });
+    });
+  });
+}
+
+function sweepHistory() {
+  fs.readdir(HISTORY_DIR, { withFileTypes: true }, (err, entries) => {
+    if (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Unable to read history directory:', err);
+      }
+      return;
+    }
+    entries
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => enforceHistoryRetention(entry.name));
+  });
+}
+
+wss.on('connection', (ws, req) => {
+  const ip = getClientIp(req);
+  const authResult = authenticateRequest(req);
+  if (authResult.error) {
+    console.warn(`Refusing connection from ${ip}: ${authResult.error}`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'authFailed',
+      message: authResult.error
+    }));
+    ws.close(AUTH_CLOSE_CODE, authResult.error);
+    return;
+  }
+
+  const ban = findBan(ip, authResult.auth ? authResult.auth.userId : null);
+  if (ban) {
+    console.warn(`Refusing banned connection from ${ip} (ban ${ban.id})`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'banned',
+      message: ban.reason || 'You have been banned'
+    }));
+    ws.close(BAN_CLOSE_CODE, 'Banned');
+    return;
+  }
+
+  const clientId = generateClientId();
+  const roomName = getRoomFromRequest(req);
+  const clientInfo = {
+    id: clientId,
+    role: findRoomOwner(roomName) ? getRequestedRole(req) : 'owner',
+    ip,
+    auth: authResult.auth,
+    room: roomName,
+    connectedAt: Date.now(),
+    lastPing: Date.now(),
+    recentTrail: [],
+    undoneStrokes: new Map(),
+    // Strokes in progress: strokeId -> { settings, x, y, lastSeen }
+    activeStrokes: new Map(),
+    rateLimiter: createRateLimiter(),
+    // clientId whose view this client mirrors, and the latest view this client reported
+    following: null,
+    viewState: null,
+    lastPosition: null,
+    // Drawing is refused until this time after a moderator mutes the client
+    mutedUntil: getMutedUntil(ip, authResult.auth),
+    wireId: allocateWireId(),
+    // 'binary' once the client opts in with setWireFormat
+    wireFormat: 'json'
+  };
+  clientInfo.metadata = {
+    ...(clientInfo.metadata || {}),
+    userId: clientInfo.auth ? clientInfo.auth.userId : null,
+    verified: Boolean(clientInfo.auth),
+    settings: sanitizeSettings(clientInfo.metadata?.settings || {}, DEFAULT_SETTINGS)
+  };
+  if (clientInfo.auth) {
+    clientInfo.metadata.settings.username = clientInfo.auth.username;
+    releaseReservedUsername(clientInfo);
+  }
+  
+  clients.set(ws, clientInfo);
+  joinRoom(ws, roomName);
+  console.log(`New client connected: ${clientId} from ${clientInfo.ip} (room: ${roomName}${clientInfo.auth ? `, user: ${clientInfo.auth.userId}` : ''})`);
+  console.log(`Total clients: ${clients.size}, in room ${roomName}: ${getRoomSize(roomName)}`);
+
+  // Set connection as alive
+  ws.isAlive = true;
+
+  // Handle pong responses for heartbeat
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    const clientInfo = clients.get(ws);
+    if (clientInfo) {
+      clientInfo.lastPing = Date.now();
+    }
+  });
+
+  // Snapshot existing client settings in this room for newcomer
   const settingsSnapshot = [];
   clients.forEach((info) => {
-    if (info.id !== clientId) {
+    if (info.id !== clientId && info.room === roomName) {
       const existingMetadata = info.metadata || {};
       const sanitized = sanitizeSettings(existingMetadata.settings || {}, DEFAULT_SETTINGS);
       info.metadata = {
@@ -137,54 +1985,293 @@ wss.on('connection', (ws, req) => {
       };
       settingsSnapshot.push({
         clientId: info.id,
+        wireId: info.wireId,
+        userId: existingMetadata.userId || null,
+        verified: Boolean(existingMetadata.verified),
+        followerCount: getFollowerCount(roomName, info.id),
+        role: info.role,
         settings: sanitized
       });
     }
-  });
+  });
+
+  const roomClearState = getClearState(roomName);
+
+  // Send welcome message
+  ws.send(JSON.stringify({
+    type: 'welcome',
+    message: 'Welcome to LightTrails!',
+    clientId: clientId,
+    room: roomName,
+    authenticated: Boolean(clientInfo.auth),
+    role: clientInfo.role,
+    wireId: clientInfo.wireId,
+    // Seeds the client's clock offset until ping/pong sync refines it
+    serverTime: Date.now(),
+    binaryProtocol: {
+      version: BINARY_PROTOCOL_VERSION,
+      coordinateScale: BINARY_COORDINATE_SCALE,
+      timeBase: BINARY_TIME_BASE
+    },
+    clientCount: getRoomSize(roomName),
+    metadata: clientInfo.metadata || {},
+    clearPolicy: roomClearState.policy,
+    clearVote: roomClearState.vote ? describeClearVote(roomName, roomClearState.vote) : null,
+    allSettings: settingsSnapshot,
+    recentTrails: getRecentTrailsSnapshot(roomName, clientId)
+  }));
+
+  // Broadcast new client connection to the other clients in this room
+  broadcast(roomName, {
+    type: 'clientJoined',
+    clientId: clientId,
+    wireId: clientInfo.wireId,
+    role: clientInfo.role,
+    clientCount: getRoomSize(roomName),
+    metadata: clientInfo.metadata || {}
+  }, ws);
+
+  // A newcomer raises the majority an open clear vote needs
+  if (roomClearState.vote) {
+    broadcastClearVote(roomName, roomClearState.vote, 'open');
+  }
+
+  if (isMuted(clientInfo)) {
+    sendMuteState(ws, clientInfo, '');
+  }
+
+  const relayMousePosition = (data) => {
+    const sanitizedSettings = applyClientSettings(clientInfo, data);
+    if (data.view) {
+      clientInfo.viewState = data.view;
+    }
+    // Constellation sky events join the cursors that moved recently
+    clientInfo.lastPosition = { x: data.x, y: data.y, at: Date.now() };
+
+    // Broadcast mouse position to the other clients in the room
+    const positionEvent = {
+      type: 'mousePosition',
+      x: data.x,
+      y: data.y,
+      clientId: clientId,
+      color: sanitizedSettings.color,
+      size: sanitizedSettings.size,
+      glow: sanitizedSettings.glow,
+      cursorMode: sanitizedSettings.cursorMode,
+      username: sanitizedSettings.username,
+      timestamp: Date.now()
+    };
+    if (data.view) {
+      positionEvent.view = data.view;
+    }
+    broadcast(roomName, positionEvent, ws);
+  };
+
+  // Excess cursor updates are coalesced: only the latest is kept and sent once budget allows
+  const flushPendingMousePosition = () => {
+    const limiter = clientInfo.rateLimiter;
+    limiter.flushTimeout = null;
+    if (!limiter.pendingMousePosition || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    if (!takeToken(limiter, 'mousePosition')) {
+      limiter.flushTimeout = setTimeout(flushPendingMousePosition, msUntilToken(limiter, 'mousePosition'));
+      return;
+    }
+    const pending = limiter.pendingMousePosition;
+    limiter.pendingMousePosition = null;
+    relayMousePosition(pending);
+  };
+
+  // Returns false when the message should not be processed
+  // Invalid messages still spend tokens so they cannot be used to flood error replies
+  const checkRateLimit = (messageType, data) => {
+    const limiter = clientInfo.rateLimiter;
+    const now = Date.now();
+    if (takeToken(limiter, messageType, now)) {
+      return true;
+    }
+
+    if (recordViolation(limiter, now)) {
+      console.warn(`Disconnecting client ${clientId} for sustained rate limit abuse`);
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          code: 'rateLimitDisconnect',
+          message: 'Too many messages, disconnecting'
+        }));
+      }
+      ws.close(1008, 'Rate limit exceeded');
+      return false;
+    }
 
-  // Send welcome message
-  ws.send(JSON.stringify({
-    type: 'welcome',
-    message: 'Welcome to LightTrails!',
-    clientId: clientId,
-    clientCount: clients.size,
-    metadata: clientInfo.metadata || {},
-    allSettings: settingsSnapshot
-  }));
+    if (messageType === 'mousePosition' && data) {
+      limiter.pendingMousePosition = data;
+      if (!limiter.flushTimeout) {
+        limiter.flushTimeout = setTimeout(flushPendingMousePosition, msUntilToken(limiter, 'mousePosition'));
+      }
+      return false;
+    }
 
-  // Broadcast new client connection to all other clients
-  broadcast({
-    type: 'clientJoined',
-    clientId: clientId,
-    clientCount: clients.size,
-    metadata: clientInfo.metadata || {}
-  }, ws);
+    // Notify the offender at most once per interval to avoid amplifying the flood
+    if (now - limiter.lastErrorAt >= RATE_LIMIT_ERROR_INTERVAL && ws.readyState === WebSocket.OPEN) {
+      limiter.lastErrorAt = now;
+      ws.send(JSON.stringify({
+        type: 'error',
+        code: 'rateLimited',
+        messageType,
+        retryAfter: msUntilToken(limiter, messageType),
+        message: `Rate limit exceeded for ${messageType}`
+      }));
+    }
+    return false;
+  };
+
+  // Store a trail point for late-joiner backfill and session history
+  const recordTrailPoint = (trail, strokeId, settings, timestamp) => {
+    recordRecentTrail(clientInfo, {
+      trail,
+      strokeId,
+      color: settings.color,
+      size: settings.size,
+      glow: settings.glow,
+      cursorMode: settings.cursorMode,
+      username: settings.username,
+      timestamp
+    });
+
+    appendHistory(roomName, {
+      type: 'lightTrail',
+      clientId,
+      trail,
+      strokeId,
+      settings,
+      timestamp
+    });
+  };
+
+  const pruneActiveStrokes = (now) => {
+    clientInfo.activeStrokes.forEach((stroke, strokeId) => {
+      if (now - stroke.lastSeen > STROKE_IDLE_TIMEOUT) {
+        clientInfo.activeStrokes.delete(strokeId);
+      }
+    });
+    while (clientInfo.activeStrokes.size >= MAX_ACTIVE_STROKES) {
+      clientInfo.activeStrokes.delete(clientInfo.activeStrokes.keys().next().value);
+    }
+  };
+
+  const sendError = (error) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'error', ...error }));
+    }
+  };
 
   // Handle incoming messages
   ws.on('message', (message, isBinary) => {
-    // Only handle text messages (JSON)
-    if (isBinary) {
-      console.warn('Received binary message, ignoring');
+    // Drop anything still queued after we started closing the socket
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (message.length > MAX_MESSAGE_BYTES) {
+      if (checkRateLimit('default', null)) {
+        sendError({
+          code: 'payloadTooLarge',
+          field: null,
+          message: `Messages must be at most ${MAX_MESSAGE_BYTES} bytes`
+        });
+      }
       return;
     }
 
+    // Binary frames are only accepted after the client negotiated the binary wire format
+    let decoded = null;
+    if (isBinary) {
+      decoded = clientInfo.wireFormat === 'binary' ? decodeBinaryMessage(message) : null;
+      if (!decoded) {
+        if (checkRateLimit('default', null)) {
+          sendError({
+            code: 'invalidBinary',
+            field: null,
+            message: clientInfo.wireFormat === 'binary'
+              ? 'Malformed binary frame'
+              : 'Binary frames require setWireFormat first'
+          });
+        }
+        return;
+      }
+    }
+
+    // Unparseable frames are charged like oversized and bad binary ones, so a flood of them
+    // still runs into the abuse disconnect
+    let parsed = decoded;
+    if (!parsed) {
+      try {
+        parsed = JSON.parse(message.toString());
+      } catch (error) {
+        if (checkRateLimit('default', null)) {
+          sendError({
+            code: 'invalidJson',
+            field: null,
+            message: 'Invalid message format'
+          });
+        }
+        return;
+      }
+    }
+
     try {
-      const data = JSON.parse(message.toString());
+      const validation = validateMessage(parsed);
+
+      if (!checkRateLimit(validation.messageType, validation.valid ? validation.message : null)) {
+        return;
+      }
+
+      if (!validation.valid) {
+        console.warn(`Rejected ${validation.messageType} message from ${clientId}: ${validation.reason}`);
+        sendError({
+          code: 'invalidMessage',
+          messageType: validation.messageType,
+          field: validation.field,
+          message: validation.reason
+        });
+        return;
+      }
+
+      const data = validation.message;
+
+      if (DRAWING_MESSAGE_TYPES.has(data.type) && !canDraw(clientInfo)) {
+        sendError({
+          code: 'forbidden',
+          messageType: data.type,
+          field: null,
+          message: `Spectators cannot send ${data.type}`
+        });
+        return;
+      }
+      // Muted clients keep their cursor but cannot change the canvas
+      if (DRAWING_MESSAGE_TYPES.has(data.type) && isMuted(clientInfo)) {
+        sendError({
+          code: 'muted',
+          messageType: data.type,
+          field: null,
+          message: `Drawing is muted for another ${Math.ceil((clientInfo.mutedUntil - Date.now()) / 60000)} min`
+        });
+        return;
+      }
       
       // Handle different message types
       switch (data.type) {
         case 'updateSettings': {
-          clientInfo.metadata = clientInfo.metadata || {};
-          const previousSettings = clientInfo.metadata.settings || DEFAULT_SETTINGS;
-          const sanitizedSettings = sanitizeSettings(data, previousSettings);
-          clientInfo.metadata.settings = sanitizedSettings;
+          const sanitizedSettings = applyClientSettings(clientInfo, data);
 
           ws.send(JSON.stringify({
             type: 'settingsAck',
             settings: sanitizedSettings
           }));
 
-          broadcast({
+          broadcast(roomName, {
             type: 'userSettings',
             clientId,
             settings: sanitizedSettings
@@ -192,16 +2279,12 @@ wss.on('connection', (ws, req) => {
           break;
         }
         case 'lightTrail': {
-          clientInfo.metadata = clientInfo.metadata || {};
-          clientInfo.metadata.settings = clientInfo.metadata.settings || DEFAULT_SETTINGS;
-
-          const sanitizedSettings = sanitizeSettings(data, clientInfo.metadata.settings);
-          clientInfo.metadata.settings = sanitizedSettings;
+          const sanitizedSettings = applyClientSettings(clientInfo, data);
 
-          // Broadcast light trail to all clients except sender
-          broadcast({
+          const trailEvent = {
             type: 'lightTrail',
             trail: data.trail,
+            strokeId: data.strokeId || null,
             color: sanitizedSettings.color,
             size: sanitizedSettings.size,
             glow: sanitizedSettings.glow,
@@ -209,78 +2292,344 @@ wss.on('connection', (ws, req) => {
             username: sanitizedSettings.username,
             clientId: clientId,
             timestamp: Date.now()
-          }, ws);
+          };
+
+          recordTrailPoint(trailEvent.trail, trailEvent.strokeId, sanitizedSettings, trailEvent.timestamp);
+
+          // Broadcast light trail to the room except sender
+          broadcast(roomName, trailEvent, ws);
           break;
         }
-        
-        case 'ping':
-          // Respond to client ping
-          ws.send(JSON.stringify({ 
-            type: 'pong',
-            timestamp: Date.now()
-          }));
-          break;
-        
-        case 'clear':
-          // Broadcast clear canvas request
-          broadcast({
-            type: 'clear',
-            clientId: clientId,
-            timestamp: Date.now()
-          }, ws);
-          break;
-        
-        case 'mousePosition': {
-          clientInfo.metadata = clientInfo.metadata || {};
-          clientInfo.metadata.settings = clientInfo.metadata.settings || DEFAULT_SETTINGS;
-          const sanitizedSettings = sanitizeSettings(data, clientInfo.metadata.settings);
-          clientInfo.metadata.settings = sanitizedSettings;
-
-          // Broadcast mouse position to all other clients
-          broadcast({
-            type: 'mousePosition',
+
+        case 'strokeStart': {
+          const timestamp = Date.now();
+          const sanitizedSettings = applyClientSettings(clientInfo, data);
+          pruneActiveStrokes(timestamp);
+          clientInfo.activeStrokes.set(data.strokeId, {
+            settings: sanitizedSettings,
+            x: data.x,
+            y: data.y,
+            lastSeen: timestamp
+          });
+
+          const trail = {
+            x: data.x,
+            y: data.y,
+            size: sanitizedSettings.size,
+            glow: sanitizedSettings.glow
+          };
+          recordTrailPoint(trail, data.strokeId, sanitizedSettings, timestamp);
+
+          broadcast(roomName, {
+            type: 'strokeStart',
+            clientId,
+            strokeId: data.strokeId,
             x: data.x,
             y: data.y,
-            clientId: clientId,
             color: sanitizedSettings.color,
             size: sanitizedSettings.size,
             glow: sanitizedSettings.glow,
             cursorMode: sanitizedSettings.cursorMode,
             username: sanitizedSettings.username,
+            timestamp
+          }, ws);
+          break;
+        }
+
+        case 'strokePoints': {
+          const stroke = clientInfo.activeStrokes.get(data.strokeId);
+          if (!stroke) {
+            sendError({
+              code: 'invalidMessage',
+              messageType: data.type,
+              field: 'strokeId',
+              message: 'strokeId does not match an active stroke'
+            });
+            break;
+          }
+
+          // Rebuild absolute points for backfill and history; peers get the compact deltas
+          const timestamp = Date.now();
+          const from = { x: stroke.x, y: stroke.y };
+          const absolutePoints = [];
+          let x = stroke.x;
+          let y = stroke.y;
+          for (let i = 0; i < data.points.length; i++) {
+            x += data.points[i][0];
+            y += data.points[i][1];
+            if (Math.abs(x) > MAX_COORDINATE || Math.abs(y) > MAX_COORDINATE) {
+              break;
+            }
+            absolutePoints.push({ x, y, dt: data.points[i][2] });
+          }
+          if (absolutePoints.length !== data.points.length) {
+            sendError({
+              code: 'invalidMessage',
+              messageType: data.type,
+              field: `points[${absolutePoints.length}]`,
+              message: 'Stroke point is out of range'
+            });
+            break;
+          }
+
+          const totalTime = absolutePoints.reduce((sum, point) => sum + point.dt, 0);
+          // Keep points ordered after the stroke's previous point and never in the future
+          let pointTime = Math.max(timestamp - totalTime, stroke.lastSeen);
+          absolutePoints.forEach((point) => {
+            pointTime = Math.min(pointTime + point.dt, timestamp);
+            recordTrailPoint({
+              x: point.x,
+              y: point.y,
+              size: stroke.settings.size,
+              glow: stroke.settings.glow
+            }, data.strokeId, stroke.settings, pointTime);
+          });
+          stroke.x = x;
+          stroke.y = y;
+          stroke.lastSeen = timestamp;
+
+          broadcast(roomName, {
+            type: 'strokePoints',
+            clientId,
+            strokeId: data.strokeId,
+            from,
+            points: data.points,
+            timestamp
+          }, ws);
+          break;
+        }
+
+        case 'strokeEnd':
+          clientInfo.activeStrokes.delete(data.strokeId);
+          broadcast(roomName, {
+            type: 'strokeEnd',
+            clientId,
+            strokeId: data.strokeId,
             timestamp: Date.now()
           }, ws);
           break;
+        
+        case 'undoStroke':
+        case 'redoStroke': {
+          const timestamp = Date.now();
+          if (data.type === 'undoStroke') {
+            undoRecentStroke(clientInfo, data.strokeId);
+          } else {
+            redoRecentStroke(clientInfo, data.strokeId, timestamp);
+          }
+
+          appendHistory(roomName, {
+            type: data.type,
+            clientId,
+            strokeId: data.strokeId,
+            timestamp
+          });
+
+          // Clients only touch points belonging to the sender's clientId
+          broadcast(roomName, {
+            type: data.type,
+            clientId,
+            strokeId: data.strokeId,
+            timestamp
+          }, ws);
+          break;
+        }
+
+        case 'setRole': {
+          const target = findRoomClient(roomName, data.targetId);
+          if (clientInfo.role !== 'owner') {
+            sendError({
+              code: 'forbidden',
+              messageType: data.type,
+              field: null,
+              message: 'Only the room owner can change roles'
+            });
+            break;
+          }
+          if (!target || target.id === clientId) {
+            sendError({
+              code: 'invalidMessage',
+              messageType: data.type,
+              field: 'targetId',
+              message: 'targetId must be another participant in this room'
+            });
+            break;
+          }
+          if (target.role !== data.role) {
+            console.log(`${clientId} made ${target.id} a ${data.role} in room ${roomName}`);
+            setClientRole(roomName, target, data.role);
+          }
+          break;
+        }
+
+        case 'follow': {
+          const previousLeader = clientInfo.following;
+          const leader = data.targetId && data.targetId !== clientId
+            ? findRoomClient(roomName, data.targetId)
+            : null;
+          if (data.targetId && !leader) {
+            sendError({
+              code: 'invalidMessage',
+              messageType: data.type,
+              field: 'targetId',
+              message: 'targetId is not a participant in this room'
+            });
+            break;
+          }
+
+          clientInfo.following = leader ? leader.id : null;
+          // Start the follower from the leader's last known view instead of waiting for it to move
+          ws.send(JSON.stringify({
+            type: 'following',
+            targetId: clientInfo.following,
+            view: leader ? leader.viewState : null
+          }));
+          if (previousLeader && previousLeader !== clientInfo.following) {
+            broadcastFollowerCount(roomName, previousLeader);
+          }
+          if (clientInfo.following) {
+            broadcastFollowerCount(roomName, clientInfo.following);
+          }
+          break;
+        }
+
+        case 'setWireFormat': {
+          // Fall back to JSON when the client speaks a different binary version
+          const useBinary = data.format === 'binary' && data.version === BINARY_PROTOCOL_VERSION;
+          clientInfo.wireFormat = useBinary ? 'binary' : 'json';
+          ws.send(JSON.stringify({
+            type: 'wireFormat',
+            format: clientInfo.wireFormat
+          }));
+          break;
+        }
+
+        case 'ping': {
+          // Respond to client ping; the client syncs its clock from clientTime and timestamp
+          const pong = {
+            type: 'pong',
+            timestamp: Date.now()
+          };
+          if (data.clientTime !== undefined) {
+            pong.clientTime = data.clientTime;
+          }
+          ws.send(JSON.stringify(pong));
+          break;
+        }
+        
+        case 'clear': {
+          const clearState = getClearState(roomName);
+          if (clearState.policy === 'own') {
+            clearOwnStrokes(roomName, clientInfo);
+          } else if (clearState.policy === 'owner') {
+            if (clientInfo.role !== 'owner') {
+              sendError({
+                code: 'forbidden',
+                messageType: data.type,
+                field: null,
+                message: 'Only the room owner can clear the canvas'
+              });
+              break;
+            }
+            clearRoomCanvas(roomName, clientId);
+          } else if (clearState.vote) {
+            // Asking to clear while a vote is open counts as agreeing with it
+            castClearVote(roomName, clientId, true);
+          } else {
+            startClearVote(roomName, clientId);
+          }
+          break;
+        }
+
+        case 'clearVote':
+          if (!castClearVote(roomName, clientId, data.approve)) {
+            sendError({
+              code: 'invalidMessage',
+              messageType: data.type,
+              field: null,
+              message: 'No clear vote is open'
+            });
+          }
+          break;
+
+        case 'setClearPolicy': {
+          if (clientInfo.role !== 'owner') {
+            sendError({
+              code: 'forbidden',
+              messageType: data.type,
+              field: null,
+              message: 'Only the room owner can change the clear policy'
+            });
+            break;
+          }
+          const clearState = getClearState(roomName);
+          if (clearState.policy !== data.policy) {
+            clearState.policy = data.policy;
+            endClearVote(roomName, 'cancelled');
+            console.log(`${clientId} set the clear policy of room ${roomName} to ${data.policy}`);
+            broadcast(roomName, {
+              type: 'clearPolicy',
+              clientId,
+              policy: data.policy
+            });
+          }
+          break;
         }
         
+        case 'mousePosition':
+          // A fresh update supersedes any coalesced one still waiting
+          clientInfo.rateLimiter.pendingMousePosition = null;
+          relayMousePosition(data);
+          break;
+        
         default:
           console.log('Unknown message type:', data.type);
       }
     } catch (error) {
-      console.error('Error parsing message:', error);
-      // Send error response to client
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Invalid message format'
-        }));
-      }
+      console.error(`Error handling message from ${clientId}:`, error);
+      sendError({
+        code: 'serverError',
+        field: null,
+        message: 'Message could not be processed'
+      });
     }
   });
 
   // Handle client disconnect
   ws.on('close', (code, reason) => {
-    const clientInfo = clients.get(ws);
-    console.log(`Client disconnected: ${clientInfo?.id || 'unknown'} (code: ${code}, reason: ${reason.toString() || 'none'})`);
+    console.log(`Client disconnected: ${clientId} (code: ${code}, reason: ${reason.toString() || 'none'})`);
+    if (clientInfo.rateLimiter.flushTimeout) {
+      clearTimeout(clientInfo.rateLimiter.flushTimeout);
+    }
     clients.delete(ws);
+    leaveRoom(ws, roomName);
     
-    // Broadcast client disconnect to remaining clients
-    broadcast({
+    // Broadcast client disconnect to remaining clients in the room
+    broadcast(roomName, {
       type: 'clientLeft',
-      clientId: clientInfo?.id,
-      clientCount: clients.size
+      clientId: clientId,
+      clientCount: getRoomSize(roomName)
     }, ws);
+
+    // Followers of this client stop following (their clients exit on clientLeft)
+    const room = rooms.get(roomName);
+    if (room) {
+      room.forEach((peer) => {
+        const info = clients.get(peer);
+        if (info && info.following === clientId) {
+          info.following = null;
+        }
+      });
+    }
+    if (clientInfo.following) {
+      broadcastFollowerCount(roomName, clientInfo.following);
+    }
+    if (clientInfo.role === 'owner') {
+      transferRoomOwnership(roomName);
+    }
+    withdrawClearVote(roomName, clientId);
     
-    console.log(`Total clients: ${clients.size}`);
+    console.log(`Total clients: ${clients.size}, in room ${roomName}: ${getRoomSize(roomName)}`);
   });
 
   // Handle errors
@@ -304,6 +2653,9 @@ const heartbeat = setInterval(() => {
       // Connection is dead, terminate it
       console.log(`Terminating dead connection: ${clientInfo?.id || 'unknown'}`);
       clients.delete(ws);
+      if (clientInfo) {
+        leaveRoom(ws, clientInfo.room);
+      }
       return ws.terminate();
     }
     
@@ -313,25 +2665,59 @@ const heartbeat = setInterval(() => {
   });
 }, HEARTBEAT_INTERVAL);
 
+// Periodically apply history retention to rooms that are no longer active
+const historySweep = HISTORY_ENABLED ? setInterval(sweepHistory, HISTORY_SWEEP_INTERVAL) : null;
+if (HISTORY_ENABLED) {
+  console.log(`Session history enabled, writing to ${HISTORY_DIR}`);
+  sweepHistory();
+}
+
 // Clean up interval on server shutdown
 wss.on('close', () => {
   clearInterval(heartbeat);
+  if (historySweep) {
+    clearInterval(historySweep);
+  }
+  historyLogs.forEach((log, roomName) => closeHistoryLog(roomName));
+  skyEventTimers.forEach((timeout) => clearTimeout(timeout));
 });
 
-// Broadcast message to all clients except sender
-function broadcast(data, sender) {
-  const message = JSON.stringify(data);
+// Broadcast message to all clients in a room except sender
+function broadcast(roomName, data, sender) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return 0;
+  }
+
+  // Encode lazily, once per format, since recipients may have negotiated different wire formats
+  let message = null;
+  let binaryMessage;
   let sentCount = 0;
   
-  clients.forEach((clientInfo, ws) => {
+  Array.from(room).forEach((ws) => {
     if (ws !== sender && ws.readyState === WebSocket.OPEN) {
       try {
+        const recipient = clients.get(ws);
+        if (recipient && recipient.wireFormat === 'binary') {
+          if (binaryMessage === undefined) {
+            binaryMessage = encodeBinaryMessage(data, clients.get(sender));
+          }
+          if (binaryMessage) {
+            ws.send(binaryMessage);
+            sentCount++;
+            return;
+          }
+        }
+        if (message === null) {
+          message = JSON.stringify(data);
+        }
         ws.send(message);
         sentCount++;
       } catch (error) {
         console.error('Error sending message to client:', error);
         // Remove client if send fails
         clients.delete(ws);
+        leaveRoom(ws, roomName);
       }
     }
   });
@@ -339,39 +2725,393 @@ function broadcast(data, sender) {
   return sentCount;
 }
 
-function scheduleMeteorShower() {
-  const delay = METEOR_MIN_INTERVAL + Math.random() * (METEOR_MAX_INTERVAL - METEOR_MIN_INTERVAL);
-  setTimeout(() => {
-    launchMeteorShower();
-    scheduleMeteorShower();
-  }, delay);
+// Parse one cron field ("*", "5", "1-5", "*/15", "0-30/10", comma lists) into the set of allowed values
+function parseCronField(field, min, max) {
+  const values = new Set();
+  field.split(',').forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`invalid cron field "${field}"`);
+    }
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`cron field "${field}" must run low to high within ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+// Five-field cron expression in server local time; Sunday is 0 or 7
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => (
+    parseCronField(field, CRON_FIELD_RANGES[index][0], CRON_FIELD_RANGES[index][1])
+  ));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, a restricted day-of-month or day-of-week matches if either does
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+function cronMatchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// First minute after `from` that matches, or null if none within four years (e.g. "0 0 30 2 *")
+function nextCronTime(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from + 4 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+// Accept a number or a [min, max] pair; returns a clamped [min, max] or null
+function parseRange(value, min, max) {
+  const pair = Array.isArray(value) ? value : [value, value];
+  if (pair.length !== 2 || !pair.every((entry) => typeof entry === 'number' && Number.isFinite(entry))) {
+    return null;
+  }
+  const low = clamp(Math.min(pair[0], pair[1]), min, max);
+  const high = clamp(Math.max(pair[0], pair[1]), min, max);
+  return [low, high];
+}
+
+// Merge one config block over `base`, keeping base values for anything invalid
+function sanitizeMeteorSettings(input, base, label) {
+  const settings = { ...base };
+  if (!isPlainObject(input)) {
+    console.error(`Meteor config ${label} must be an object, using defaults`);
+    return settings;
+  }
+  const invalid = (field) => console.error(`Ignoring invalid meteor config ${label}.${field}`);
+
+  if (input.enabled !== undefined) {
+    settings.enabled = input.enabled !== false;
+  }
+  if (input.interval !== undefined) {
+    const interval = parseRange(input.interval, METEOR_INTERVAL_LIMITS[0], METEOR_INTERVAL_LIMITS[1]);
+    if (interval) {
+      settings.interval = interval;
+      // A room that sets its own interval does not inherit a default schedule
+      if (input.schedule === undefined) {
+        settings.schedule = null;
+        settings.cron = null;
+      }
+    } else {
+      invalid('interval');
+    }
+  }
+  if (input.schedule !== undefined) {
+    try {
+      settings.cron = input.schedule ? parseCron(input.schedule) : null;
+      settings.schedule = input.schedule || null;
+    } catch (error) {
+      console.error(`Ignoring invalid meteor config ${label}.schedule: ${error.message}`);
+    }
+  }
+  if (input.palette !== undefined) {
+    const palette = Array.isArray(input.palette) ? input.palette.map(normalizeColor).filter(Boolean) : [];
+    if (palette.length > 0) {
+      settings.palette = palette;
+    } else {
+      invalid('palette');
+    }
+  }
+  if (input.streaks !== undefined) {
+    const streaks = parseRange(input.streaks, 1, METEOR_MAX_STREAKS);
+    if (streaks) {
+      settings.streaks = streaks.map(Math.round);
+    } else {
+      invalid('streaks');
+    }
+  }
+  if (input.duration !== undefined) {
+    if (typeof input.duration === 'number' && Number.isFinite(input.duration)) {
+      settings.duration = clamp(input.duration, 0.5, 10);
+    } else {
+      invalid('duration');
+    }
+  }
+  if (input.spread !== undefined) {
+    if (typeof input.spread === 'number' && Number.isFinite(input.spread)) {
+      settings.spread = clamp(input.spread, 0, 1);
+    } else {
+      invalid('spread');
+    }
+  }
+  if (input.events !== undefined) {
+    const events = Array.isArray(input.events) ? input.events.filter((kind) => SKY_EVENT_KINDS.includes(kind)) : [];
+    if (events.length > 0) {
+      settings.events = events;
+    } else {
+      invalid('events');
+    }
+  }
+  return settings;
+}
+
+// Config file: { "default": { ...settings }, "rooms": { "<room>": { ...settings } } }
+// METEOR_ENABLED, METEOR_INTERVAL ("60-120"), METEOR_SCHEDULE, METEOR_PALETTE ("#fff,#abc"),
+// METEOR_STREAKS ("10-17") and SKY_EVENTS ("meteorShower,aurora") override the file's defaults
+function loadMeteorConfig() {
+  let fileConfig = {};
+  if (METEOR_CONFIG_FILE) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(METEOR_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      console.error(`Unable to read meteor config from ${METEOR_CONFIG_FILE}, using defaults:`, error.message);
+    }
+  }
+  if (!isPlainObject(fileConfig)) {
+    fileConfig = {};
+  }
+
+  const parseEnvRange = (value) => value.split('-').map((entry) => Number(entry.trim()));
+  const envOverrides = {};
+  if (process.env.METEOR_ENABLED !== undefined) {
+    envOverrides.enabled = !['0', 'false', 'no', 'off'].includes(process.env.METEOR_ENABLED.toLowerCase());
+  }
+  if (process.env.METEOR_INTERVAL) {
+    envOverrides.interval = parseEnvRange(process.env.METEOR_INTERVAL);
+  }
+  if (process.env.METEOR_SCHEDULE) {
+    envOverrides.schedule = process.env.METEOR_SCHEDULE;
+  }
+  if (process.env.METEOR_PALETTE) {
+    envOverrides.palette = process.env.METEOR_PALETTE.split(',').map((color) => color.trim());
+  }
+  if (process.env.METEOR_STREAKS) {
+    envOverrides.streaks = parseEnvRange(process.env.METEOR_STREAKS);
+  }
+  if (process.env.SKY_EVENTS) {
+    envOverrides.events = process.env.SKY_EVENTS.split(',').map((kind) => kind.trim());
+  }
+
+  const base = { ...DEFAULT_METEOR_SETTINGS, cron: null };
+  const defaults = sanitizeMeteorSettings({
+    ...(isPlainObject(fileConfig.default) ? fileConfig.default : {}),
+    ...envOverrides
+  }, base, 'default');
+  const roomSettings = new Map();
+  if (isPlainObject(fileConfig.rooms)) {
+    Object.keys(fileConfig.rooms).forEach((name) => {
+      roomSettings.set(sanitizeRoomName(name), sanitizeMeteorSettings(fileConfig.rooms[name], defaults, `rooms.${name}`));
+    });
+  }
+  return { defaults, rooms: roomSettings };
+}
+
+const meteorConfig = loadMeteorConfig();
+// Pending sky event per open room: roomName -> timeout
+const skyEventTimers = new Map();
+
+function getRoomSkyEventSettings(roomName) {
+  return meteorConfig.rooms.get(roomName) || meteorConfig.defaults;
+}
+
+function getNextSkyEventDelay(settings, now = Date.now()) {
+  if (settings.cron) {
+    const next = nextCronTime(settings.cron, now);
+    return next === null ? null : next - now;
+  }
+  const [min, max] = settings.interval;
+  return (min + Math.random() * (max - min)) * 1000;
 }
 
-function launchMeteorShower() {
-  if (wss.clients.size === 0) {
+// Each room runs its own timer so workshops don't share sky events
+function scheduleRoomSkyEvent(roomName) {
+  cancelRoomSkyEvent(roomName);
+  const settings = getRoomSkyEventSettings(roomName);
+  if (!settings.enabled) {
     return;
   }
+  const delay = getNextSkyEventDelay(settings);
+  if (delay === null) {
+    console.warn(`Meteor schedule "${settings.schedule}" for room ${roomName} never fires`);
+    return;
+  }
+  const wait = Math.min(delay, METEOR_MAX_TIMER_DELAY);
+  skyEventTimers.set(roomName, setTimeout(() => {
+    skyEventTimers.delete(roomName);
+    if (!rooms.has(roomName)) {
+      return;
+    }
+    if (wait === delay) {
+      launchScheduledSkyEvent(roomName);
+    }
+    scheduleRoomSkyEvent(roomName);
+  }, wait));
+}
+
+function cancelRoomSkyEvent(roomName) {
+  const timeout = skyEventTimers.get(roomName);
+  if (timeout) {
+    clearTimeout(timeout);
+    skyEventTimers.delete(roomName);
+  }
+}
 
-  const baseColor = METEOR_COLORS[Math.floor(Math.random() * METEOR_COLORS.length)];
+// overrides (from the admin API): { colors, streakCount, direction }
+function launchRoomMeteorShower(roomName, overrides = {}) {
+  const settings = getRoomSkyEventSettings(roomName);
+  const palette = overrides.colors || settings.palette;
+  const [minStreaks, maxStreaks] = settings.streaks;
   const event = {
     type: 'meteorShower',
-    streakCount: 10 + Math.floor(Math.random() * 8),
-    direction: Math.random() > 0.5 ? 'leftToRight' : 'rightToLeft',
-    duration: 2.6,
-    spread: 0.6,
-    baseColor
+    streakCount: overrides.streakCount || minStreaks + Math.floor(Math.random() * (maxStreaks - minStreaks + 1)),
+    direction: overrides.direction || (Math.random() > 0.5 ? 'leftToRight' : 'rightToLeft'),
+    duration: settings.duration,
+    spread: settings.spread,
+    baseColor: palette[Math.floor(Math.random() * palette.length)],
+    // Clients draw streak positions and timing from the seed, starting together at startAt
+    seed: crypto.randomBytes(4).readUInt32LE(0),
+    startAt: Date.now() + SKY_EVENT_LEAD_TIME
   };
+  // Celebrations cycle through every requested color instead of shimmering around one
+  if (overrides.colors) {
+    event.colors = overrides.colors;
+  }
+
+  console.log(`Triggering meteor shower event in room ${roomName}`, event);
+
+  broadcast(roomName, event);
+  return event;
+}
 
-  console.log('Triggering meteor shower event', event);
+function pickRandom(values) {
+  return values[Math.floor(Math.random() * values.length)];
+}
 
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(event));
+// Cursors that moved recently, in world units
+function getRoomCursorPoints(roomName, now = Date.now()) {
+  const room = rooms.get(roomName);
+  const points = [];
+  if (!room) {
+    return points;
+  }
+  room.forEach((ws) => {
+    const info = clients.get(ws);
+    if (info && info.lastPosition && now - info.lastPosition.at < CONSTELLATION_CURSOR_WINDOW) {
+      points.push({
+        clientId: info.id,
+        x: info.lastPosition.x,
+        y: info.lastPosition.y,
+        color: info.metadata?.settings?.color || DEFAULT_SETTINGS.color
+      });
     }
   });
+  return points.slice(0, CONSTELLATION_MAX_STARS);
+}
+
+// Each builder returns the event's parameters, or null when the room can't host it right now.
+// Clients derive everything else (positions, timing jitter) from the event's seed, so adding
+// an event means adding a builder here and a renderer in the client's skyEventRenderers.
+const SKY_EVENT_BUILDERS = {
+  aurora: (settings, roomName, overrides) => {
+    const palette = overrides.colors || settings.palette;
+    return {
+      duration: 14,
+      colors: [pickRandom(palette), pickRandom(palette), pickRandom(palette)]
+    };
+  },
+  comet: (settings, roomName, overrides) => ({
+    duration: 10,
+    color: pickRandom(overrides.colors || settings.palette)
+  }),
+  constellation: (settings, roomName) => {
+    const stars = getRoomCursorPoints(roomName);
+    return stars.length >= 2 ? { duration: 9, stars } : null;
+  },
+  fireworks: (settings, roomName, overrides) => {
+    // Burst over a random active cursor, or somewhere in the home area
+    const target = overrides.position || pickRandom(getRoomCursorPoints(roomName)) || {
+      x: 960 + (Math.random() - 0.5) * 1200,
+      y: 540 + (Math.random() - 0.5) * 600
+    };
+    return {
+      duration: 4,
+      x: target.x,
+      y: target.y,
+      bursts: 1 + Math.floor(Math.random() * 3),
+      colors: overrides.colors || settings.palette
+    };
+  }
+};
+
+// overrides (from the admin API): { colors, position }
+function launchRoomSkyEvent(roomName, kind, overrides = {}) {
+  if (kind === 'meteorShower') {
+    return launchRoomMeteorShower(roomName, overrides);
+  }
+  const params = SKY_EVENT_BUILDERS[kind](getRoomSkyEventSettings(roomName), roomName, overrides);
+  if (!params) {
+    return null;
+  }
+  const event = {
+    type: 'skyEvent',
+    kind,
+    seed: crypto.randomBytes(4).readUInt32LE(0),
+    startAt: Date.now() + SKY_EVENT_LEAD_TIME,
+    ...params
+  };
+
+  console.log(`Triggering ${kind} sky event in room ${roomName}`);
+
+  broadcast(roomName, event);
+  return event;
 }
 
-scheduleMeteorShower();
+// When the chosen event can't run (e.g. a constellation with one cursor) the scheduler tries the
+// room's other allowed events in random order, and skips this tick if none of them can run
+function launchScheduledSkyEvent(roomName) {
+  const remaining = getRoomSkyEventSettings(roomName).events.slice();
+  while (remaining.length > 0) {
+    const kind = remaining.splice(Math.floor(Math.random() * remaining.length), 1)[0];
+    if (launchRoomSkyEvent(roomName, kind)) {
+      return;
+    }
+  }
+  console.log(`Skipping scheduled sky event in room ${roomName}: none of its events can run right now`);
+}
 
 // Start server
 server.listen(PORT, () => {